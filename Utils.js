@@ -2,7 +2,7 @@
 
 // Import Node.js's built-in 'crypto' library, which provides functionality
 // like hashing, encryption, random number generation, etc
-let crypto = require('crypto')
+const crypto = require('crypto')
 
 // Import the jsonwebtoken library
 // This library is used to create (sign) and check (verify) JWT tokens for authentication
@@ -12,6 +12,105 @@ const jsonWebToken = require('jsonwebtoken')
 require('dotenv').config()
 
 
+// Promise versions of the key derivation functions, so hashing runs on
+// libuv's thread pool instead of blocking the event loop
+const { promisify } = require('util')
+const scrypt = promisify(crypto.scrypt)
+const pbkdf2 = promisify(crypto.pbkdf2)
+
+// Minimum length, common-password list, etc.
+const passwordPolicy = require('./config/passwordPolicy')
+
+
+/* ============= PASSWORD HASH FORMAT ============= */
+
+/* New hashes are stored in a versioned format that records the algorithm
+   and its parameters, so they can be strengthened later:
+     $scrypt$ln=15,r=8,p=1$<salt base64>$<hash base64>
+     $pbkdf2-sha512$i=600000$<salt base64>$<hash base64>
+   Hashes created before this format look like "<salt hex>$<hash hex>"
+   (PBKDF2-SHA512, 2048 iterations) and are still accepted, then upgraded
+   the next time the user signs in (see needsRehash) */
+
+// Algorithm used for new hashes - PASSWORD_HASH_ALGORITHM in .env ('scrypt' or 'pbkdf2')
+const HASH_ALGORITHM = process.env.PASSWORD_HASH_ALGORITHM === 'pbkdf2' ? 'pbkdf2-sha512' : 'scrypt'
+
+// Current parameters for each algorithm
+const HASH_PARAMS = {
+    // cost N = 2^ln, block size r, parallelism p
+    'scrypt': { ln: 15, r: 8, p: 1 },
+    // iterations
+    'pbkdf2-sha512': { i: 600000 },
+}
+
+// Length of the derived key in bytes
+const KEY_LENGTH = 32
+
+// Parameters of hashes created before the versioned format
+const LEGACY_PARAMS = { i: 2048 }
+
+// scrypt needs 128 * N * r bytes of memory; allow a bit more than that
+function scryptOptions(params) {
+    const N = 2 ** params.ln
+    return { N, r: params.r, p: params.p, maxmem: 256 * N * params.r }
+}
+
+// Turn "ln=15,r=8,p=1" into { ln: 15, r: 8, p: 1 }
+function parseParams(text) {
+    const params = {}
+    for (const pair of text.split(',')) {
+        const [key, value] = pair.split('=')
+        params[key] = Number(value)
+    }
+    return params
+}
+
+// Turn { ln: 15, r: 8, p: 1 } into "ln=15,r=8,p=1"
+function formatParams(params) {
+    return Object.keys(params).map((key) => `${key}=${params[key]}`).join(',')
+}
+
+/* Split a stored hash into its parts.
+   Returns { algorithm, params, salt, hash, legacy } or null if unreadable */
+function parseHash(stored) {
+    if (typeof stored !== 'string') return null
+
+    // Versioned: "$algorithm$params$salt$hash"
+    if (stored.startsWith('$')) {
+        const [, algorithm, params, salt, hash] = stored.split('$')
+        if (!HASH_PARAMS[algorithm] || !params || !salt || !hash) return null
+
+        return {
+            algorithm,
+            params: parseParams(params),
+            salt: Buffer.from(salt, 'base64'),
+            hash: Buffer.from(hash, 'base64'),
+            legacy: false,
+        }
+    }
+
+    // Legacy: "salt$hash" - the hex salt string itself was used as the salt
+    const [salt, hash] = stored.split('$')
+    if (!salt || !hash) return null
+
+    return {
+        algorithm: 'pbkdf2-sha512',
+        params: LEGACY_PARAMS,
+        salt: salt,
+        hash: Buffer.from(hash, 'hex'),
+        legacy: true,
+    }
+}
+
+// Run the key derivation function for an algorithm
+async function deriveKey(password, salt, algorithm, params, keyLength) {
+    if (algorithm === 'scrypt') {
+        return scrypt(password, salt, keyLength, scryptOptions(params))
+    }
+    return pbkdf2(password, salt, params.i, keyLength, 'sha512')
+}
+
+
 /* ============= UTILS CLASS ============= */
 
 /* Create a Utils class to group related utility functions together.
@@ -19,50 +118,120 @@ require('dotenv').config()
    This makes it easy to reuse them anywhere in the project */
 class Utils {
 
-    // Convert a plain text password into a hash to safely store in MongoDB
-    hashPassword(password) {
+    // Convert a plain text password into a hash to safely store in MongoDB.
+    // Async: resolves to the versioned hash string
+    async hashPassword(password) {
         /* Generate a "salt" (a random piece of data added to the password)
-           randomBytes(16) - creates 16 random bytes of data
-           toString('hex') - converts those bytes into a hexadecimal string */
-        const salt = crypto.randomBytes(16).toString('hex')
-
-        /* Hash the password using PBKDF2 (Password-Based Key Derivation Function 2)
-           Parameters:
-           password - the plain text password entered by the user
-           salt - the random salt just generated
-           2048 - the number of times the hash is repeated
-           32 - the length of the final hash in bytes
-           sha512 - the hashing algorithm to use */
-        const hash = crypto.pbkdf2Sync(password, salt, 2048, 32, "sha512").toString('hex')
-
-        /* Combine salt and hash into a single string to be stored together
-           Example: "randomSalt$hashedPassword"
-           For cases when users have the same password, which generates the same hash */
-        return [salt, hash].join('$')
-    }
+           so users with the same password still get different hashes */
+        const salt = crypto.randomBytes(16)
+        const params = HASH_PARAMS[HASH_ALGORITHM]
+
+        const hash = await deriveKey(String(password), salt, HASH_ALGORITHM, params, KEY_LENGTH)
 
-    // Check if a plain text password matches the stored hash
-    verifyPassword(password, original) {
-        // The stored "original" value looks like "salt$hash"
-        // Extract the "hash" part (after the $ symbol)
-        const originalHash = original.split('$')[1]
+        // Store the algorithm and parameters next to the salt and hash
+        return ['', HASH_ALGORITHM, formatParams(params), salt.toString('base64'), hash.toString('base64')].join('$')
+    }
 
-        // Extract the "salt" part (before the $ symbol)
-        const salt = original.split('$')[0]
+    // Check if a plain text password matches the stored hash (any supported format).
+    // Async: resolves to true / false
+    async verifyPassword(password, original) {
+        const parsed = parseHash(original)
+        if (!parsed) return false
 
         /* Hash the plain text password using the same salt and parameters
            This ensures that if the password is correct, the result will match
            the original hash stored in the database */
-        const hash = crypto.pbkdf2Sync(password, salt, 2048, 32, "sha512").toString('hex')
+        const hash = await deriveKey(String(password), parsed.salt, parsed.algorithm, parsed.params, parsed.hash.length)
+
+        /* Compare in constant time, so how long the comparison takes does not
+           reveal how many leading bytes matched */
+        return hash.length === parsed.hash.length && crypto.timingSafeEqual(hash, parsed.hash)
+    }
+
+    // True when a stored hash uses an old format, algorithm or parameters
+    // and should be replaced the next time the plain password is known
+    needsRehash(original) {
+        const parsed = parseHash(original)
+        if (!parsed || parsed.legacy || parsed.algorithm !== HASH_ALGORITHM) return true
+
+        return formatParams(parsed.params) !== formatParams(HASH_PARAMS[HASH_ALGORITHM])
+            || parsed.hash.length !== KEY_LENGTH
+    }
+
+    /* Check a new password against the password policy (config/passwordPolicy.js).
+       Returns an error message to show the user, or null when the password is fine */
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < passwordPolicy.minLength) {
+            return `Password must be at least ${passwordPolicy.minLength} characters long`
+        }
+
+        if (password.length > passwordPolicy.maxLength) {
+            return `Password must be at most ${passwordPolicy.maxLength} characters long`
+        }
+
+        if (passwordPolicy.isCommonPassword(password)) {
+            return 'This password is too common. Please choose a less predictable password'
+        }
+
+        return null
+    }
+
+    /* Sign a short-lived JWT containing the user object.
+       tokenVersion is copied from the User document so that bumping it
+       (log out everywhere, password change) revokes every access token
+       issued before. sid is the Session the token belongs to, so revoking
+       that session revokes the token too */
+    generateAccessToken(user, tokenVersion = 0, sessionId) {
+        return jsonWebToken.sign({ user: user, tokenVersion: tokenVersion, sid: sessionId }, process.env.SECRET_KEY, { expiresIn: '30min' })
+    }
+
+    /* Sign a 5-minute token proving the password step of sign in passed,
+       for users with two-factor authentication. It carries a "purpose",
+       so authenticate never accepts it as an access token */
+    generateChallengeToken(user) {
+        return jsonWebToken.sign(
+            { purpose: '2fa-challenge', userId: user.id, tokenVersion: user.tokenVersion || 0 },
+            process.env.SECRET_KEY,
+            { expiresIn: '5min' }
+        )
+    }
+
+    // Decode a challenge token from generateChallengeToken(), or return null
+    // when it is invalid, expired or not a challenge token
+    verifyChallengeToken(token) {
+        try {
+            const payload = jsonWebToken.verify(token, process.env.SECRET_KEY, { algorithms: ['HS256'] })
+            return payload.purpose === '2fa-challenge' ? payload : null
+        } catch (err) {
+            return null
+        }
+    }
+
+    /* Sign a short-lived download link token for a finished data export
+       (GET /exports/:token). Like the challenge token it carries a
+       "purpose", so it is never accepted as an access token */
+    generateDownloadToken(exportId, expiresInSeconds) {
+        return jsonWebToken.sign(
+            { purpose: 'data-export-download', exportId: String(exportId) },
+            process.env.SECRET_KEY,
+            { expiresIn: expiresInSeconds }
+        )
+    }
 
-        /* Compare the newly computed hash with the original stored hash
-           If they are exactly the same, the password is correct - return true
-           If not, the password is incorrect - return false */
-        return hash === originalHash
+    // Decode a token from generateDownloadToken(), or return null when it
+    // is invalid, expired or not a download token
+    verifyDownloadToken(token) {
+        try {
+            const payload = jsonWebToken.verify(token, process.env.SECRET_KEY, { algorithms: ['HS256'] })
+            return payload.purpose === 'data-export-download' ? payload : null
+        } catch (err) {
+            return null
+        }
     }
 
-    generateAccessToken(user) {
-        return jsonWebToken.sign({ user: user }, process.env.SECRET_KEY, { expiresIn: '30min' })
+    // Hash a random token (e.g. a refresh token) with SHA-256 so only the hash is stored
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex')
     }
 }
 
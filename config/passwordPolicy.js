@@ -0,0 +1,46 @@
+/* ==============================
+   PASSWORD POLICY
+   Rules every new password must follow (sign up, change password,
+   reset password and admin updates). Checked by Utils.validatePassword().
+
+   Configure in .env:
+   - PASSWORD_MIN_LENGTH       (default 8)
+   - PASSWORD_MAX_LENGTH       (default 128)
+   - PASSWORD_BLOCKLIST_FILE   extra file of banned passwords, one per line
+  ============================== */
+
+const fs = require('fs')
+const path = require('path')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Built-in list of the most common passwords
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, 'common-passwords.txt')
+
+// Read a password list file into lowercase entries (blank lines and # comments ignored)
+function readList(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+}
+
+// Every banned password, lowercased
+const blocklist = new Set(readList(DEFAULT_BLOCKLIST_FILE))
+
+if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    for (const entry of readList(process.env.PASSWORD_BLOCKLIST_FILE)) {
+        blocklist.add(entry)
+    }
+}
+
+module.exports = {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: Number(process.env.PASSWORD_MAX_LENGTH) || 128,
+
+    // True when the password is on the common-password list (case-insensitive)
+    isCommonPassword(password) {
+        return blocklist.has(String(password).trim().toLowerCase())
+    },
+}
@@ -0,0 +1,160 @@
+/* ==============================
+   USER PREFERENCES
+   What can be stored in user.preferences, the defaults, and the
+   validation for PATCH /user/:id/preferences.
+
+   Configure defaults in .env:
+   - DEFAULT_TIMEZONE          (default Australia/Melbourne)
+   - DEFAULT_LOCALE            (default en-AU)
+   - DEFAULT_SALARY_CURRENCY   (default AUD)
+  ============================== */
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How salaries are expressed
+const PAY_PERIODS = ['hour', 'day', 'week', 'month', 'year']
+
+// Emails a user can turn on or off
+const NOTIFICATION_TYPES = ['interviewReminders', 'applicationUpdates', 'weeklySummary', 'productNews']
+
+// Parts of the app with a first-time guide. true = the user has seen it
+const ONBOARDING_FLAGS = ['welcome', 'board', 'documents', 'analytics']
+
+const DEFAULTS = {
+    timezone: process.env.DEFAULT_TIMEZONE || 'Australia/Melbourne',
+    locale: process.env.DEFAULT_LOCALE || 'en-AU',
+    salaryCurrency: process.env.DEFAULT_SALARY_CURRENCY || 'AUD',
+    salaryPeriod: 'year',
+    defaultStatus: 'applied',
+    notifications: {
+        interviewReminders: true,
+        applicationUpdates: true,
+        weeklySummary: false,
+        productNews: false,
+    },
+}
+
+/* ==============================
+   VALUE CHECKS
+  ============================== */
+
+function isValidTimezone(value) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: value })
+        return true
+    } catch (err) {
+        return false
+    }
+}
+
+function isValidLocale(value) {
+    try {
+        return Intl.getCanonicalLocales(value).length === 1
+    } catch (err) {
+        return false
+    }
+}
+
+function isValidCurrency(value) {
+    return Intl.supportedValuesOf('currency').includes(value)
+}
+
+// Check a { key: true/false } group against its allowed keys
+function validateFlags(group, value, keys) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `${group} must be an object` }
+    }
+
+    const updates = {}
+
+    for (const [key, flag] of Object.entries(value)) {
+        if (!keys.includes(key)) {
+            return { error: `Unknown ${group} setting: ${key}` }
+        }
+        if (typeof flag !== 'boolean') {
+            return { error: `${group}.${key} must be true or false` }
+        }
+        updates[`preferences.${group}.${key}`] = flag
+    }
+
+    return { updates }
+}
+
+/* ==============================
+   validatePreferences(body, { stageKeys })
+   Check a partial preferences object from PATCH /user/:id/preferences.
+   stageKeys are the user's board stages, for defaultStatus
+   (see services/pipelineStages.js).
+   Returns { updates } - a $set object with dotted paths, so only the
+   settings that were sent change - or { error }
+  ============================== */
+function validatePreferences(body, { stageKeys = [] } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Preferences must be an object' }
+    }
+
+    const updates = {}
+
+    for (const [key, value] of Object.entries(body)) {
+        switch (key) {
+            case 'timezone':
+                if (typeof value !== 'string' || !isValidTimezone(value)) {
+                    return { error: 'timezone must be an IANA time zone, e.g. Australia/Melbourne' }
+                }
+                updates['preferences.timezone'] = value
+                break
+
+            case 'locale':
+                if (typeof value !== 'string' || !isValidLocale(value)) {
+                    return { error: 'locale must be a language tag, e.g. en-AU' }
+                }
+                updates['preferences.locale'] = Intl.getCanonicalLocales(value)[0]
+                break
+
+            case 'salaryCurrency':
+                if (typeof value !== 'string' || !isValidCurrency(value.toUpperCase())) {
+                    return { error: 'salaryCurrency must be an ISO 4217 currency code, e.g. AUD' }
+                }
+                updates['preferences.salaryCurrency'] = value.toUpperCase()
+                break
+
+            case 'salaryPeriod':
+                if (!PAY_PERIODS.includes(value)) {
+                    return { error: `salaryPeriod must be one of: ${PAY_PERIODS.join(', ')}` }
+                }
+                updates['preferences.salaryPeriod'] = value
+                break
+
+            case 'defaultStatus':
+                if (!stageKeys.includes(value)) {
+                    return { error: `defaultStatus must be one of: ${stageKeys.join(', ')}` }
+                }
+                updates['preferences.defaultStatus'] = value
+                break
+
+            case 'notifications':
+            case 'onboarding': {
+                const keys = key === 'notifications' ? NOTIFICATION_TYPES : ONBOARDING_FLAGS
+                const flags = validateFlags(key, value, keys)
+
+                if (flags.error) return flags
+                Object.assign(updates, flags.updates)
+                break
+            }
+
+            default:
+                return { error: `Unknown preference: ${key}` }
+        }
+    }
+
+    return { updates }
+}
+
+module.exports = {
+    PAY_PERIODS,
+    NOTIFICATION_TYPES,
+    ONBOARDING_FLAGS,
+    DEFAULTS,
+    validatePreferences,
+}
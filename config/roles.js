@@ -0,0 +1,81 @@
+/* ==============================
+   ROLES AND PERMISSIONS
+   Every user has one named role, and each role maps to a set of
+   permissions. Routes declare the permission they need with
+   requirePermission() / requireSelfOr() from middleware/auth.js.
+
+   Users can always read and change their OWN profile and applications;
+   the ":any" permissions are for acting on other users' data
+  ============================== */
+
+/* ============= PERMISSIONS ============= */
+
+const PERMISSIONS = {
+    // List / search every user (GET /user)
+    USERS_LIST: 'users:list',
+    // View another user's profile
+    USERS_READ_ANY: 'users:read:any',
+    // Edit another user's profile, password or avatar
+    USERS_UPDATE_ANY: 'users:update:any',
+    // Delete another user's account
+    USERS_DELETE_ANY: 'users:delete:any',
+    // Change anyone's role (including promoting to admin)
+    USERS_MANAGE_ROLES: 'users:roles',
+    // View another user's job applications
+    APPLICATIONS_READ_ANY: 'applications:read:any',
+    // Create, edit or delete another user's job applications
+    APPLICATIONS_WRITE_ANY: 'applications:write:any',
+    // Download documents attached to another user's applications
+    DOCUMENTS_READ_ANY: 'documents:read:any',
+    // Change app-wide settings (/admin/settings)
+    SETTINGS_MANAGE: 'settings:manage',
+    // Read and export the audit log (/admin/audit)
+    AUDIT_READ: 'audit:read',
+}
+
+/* ============= ROLES ============= */
+
+const ROLES = {
+    // Regular job seeker - only their own data
+    user: [],
+
+    // Career coach - can review (but not change) the boards of the people they help
+    coach: [
+        PERMISSIONS.USERS_LIST,
+        PERMISSIONS.USERS_READ_ANY,
+        PERMISSIONS.APPLICATIONS_READ_ANY,
+        PERMISSIONS.DOCUMENTS_READ_ANY,
+    ],
+
+    // Administrator - everything
+    admin: Object.values(PERMISSIONS),
+}
+
+// Role given to every new account
+const DEFAULT_ROLE = 'user'
+
+/* ============= HELPERS ============= */
+
+// True when `role` is one of the roles defined above
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role)
+}
+
+// List of permissions granted to a role (empty for unknown roles)
+function getPermissions(role) {
+    return isValidRole(role) ? ROLES[role] : []
+}
+
+// True when the role grants the permission
+function roleHasPermission(role, permission) {
+    return getPermissions(role).includes(permission)
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    getPermissions,
+    roleHasPermission,
+}
@@ -0,0 +1,34 @@
+/* ==============================
+   PERSONAL ACCESS TOKEN SCOPES
+   What a personal access token (POST /auth/tokens) is allowed to do.
+   Routes declare the scope they need with requireScope() from
+   middleware/auth.js. Normal sign-in tokens (JWTs) are not limited by
+   scopes; routes that manage the account itself (password, sessions,
+   2FA, tokens, admin) never accept personal access tokens
+  ============================== */
+
+const SCOPES = {
+    // Read the token owner's profile
+    PROFILE_READ: 'profile:read',
+    // Edit the token owner's profile and avatar
+    PROFILE_WRITE: 'profile:write',
+    // List and read job applications
+    APPLICATIONS_READ: 'applications:read',
+    // Create, update and delete job applications
+    APPLICATIONS_WRITE: 'applications:write',
+    // Download documents attached to applications
+    DOCUMENTS_READ: 'documents:read',
+    // Upload documents
+    DOCUMENTS_WRITE: 'documents:write',
+}
+
+// True when every entry is a known scope
+function areValidScopes(scopes) {
+    const known = Object.values(SCOPES)
+    return Array.isArray(scopes) && scopes.every((scope) => known.includes(scope))
+}
+
+module.exports = {
+    SCOPES,
+    areValidScopes,
+}
@@ -0,0 +1,190 @@
+/* ==============================
+   LIMITER
+   Brute-force protection for /auth/signin (and other lookup endpoints).
+
+   Each key (an IP address or an account email) gets a counter:
+   - after `freeAttempts` failures, every further failure doubles the
+     wait before the next attempt is allowed (exponential backoff)
+   - after `lockoutThreshold` failures the key is locked for
+     `lockoutMinutes` (temporary lockout, admins can unlock accounts)
+   - counters are forgotten after `windowMinutes` without an attempt
+
+   Pick where counters are kept with LIMITER_STORE in .env:
+   - memory -> inside this process (default, single server)
+   - mongo  -> LoginAttempt collection (several server instances)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const MemoryStore = require('./stores/memory')
+const MongoStore = require('./stores/mongo')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+/* ============= RULES ============= */
+
+// Wait after the first failure past freeAttempts; doubles each time
+const BACKOFF_BASE_SECONDS = Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1
+
+// Longest wait exponential backoff can ask for
+const BACKOFF_MAX_SECONDS = Number(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 15 * 60
+
+const RULES = {
+    // Failed sign-ins for one account (keyed by the email that was typed)
+    signinAccount: {
+        freeAttempts: 3,
+        lockoutThreshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+        lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+        windowMinutes: 15,
+    },
+
+    // Failed sign-ins from one IP address (across all accounts)
+    signinIp: {
+        freeAttempts: 20,
+        lockoutThreshold: 100,
+        lockoutMinutes: 15,
+        windowMinutes: 15,
+    },
+
+    // Every call to an endpoint that reveals whether an email is registered
+    lookupIp: {
+        freeAttempts: 30,
+        lockoutThreshold: 200,
+        lockoutMinutes: 15,
+        windowMinutes: 15,
+    },
+
+    // Email changes by one signed-in account (the answer also says
+    // whether the new address is registered)
+    lookupAccount: {
+        freeAttempts: 5,
+        lockoutThreshold: 20,
+        lockoutMinutes: 60,
+        windowMinutes: 60,
+    },
+}
+
+/* ============= LIMITER CLASS ============= */
+
+class Limiter {
+    constructor(store) {
+        this.store = store
+    }
+
+    /* Check whether any of the keys is currently blocked.
+       Returns { allowed: true } or { allowed: false, retryAfterSeconds } */
+    async check(keys) {
+        const now = Date.now()
+        let blockedUntil = 0
+
+        for (const key of keys) {
+            const record = await this.store.get(key)
+            if (!record) continue
+
+            for (const until of [record.lockedUntil, record.nextAttemptAt]) {
+                const time = until ? new Date(until).getTime() : 0
+                if (time > now && time > blockedUntil) blockedUntil = time
+            }
+        }
+
+        if (!blockedUntil) return { allowed: true }
+
+        return {
+            allowed: false,
+            retryAfterSeconds: Math.ceil((blockedUntil - now) / 1000),
+        }
+    }
+
+    // Count one attempt against a key and apply backoff / lockout from the rule
+    async record(key, rule) {
+        const now = Date.now()
+        const record = await this.store.increment(key, rule.windowMinutes * 60 * 1000)
+
+        const fields = { nextAttemptAt: null }
+
+        // Exponential backoff once the free attempts are used up
+        const extra = record.failures - rule.freeAttempts
+        if (extra > 0) {
+            const delaySeconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (extra - 1), BACKOFF_MAX_SECONDS)
+            fields.nextAttemptAt = new Date(now + delaySeconds * 1000)
+        }
+
+        // Temporary lockout after too many failures
+        if (record.failures >= rule.lockoutThreshold) {
+            fields.lockedUntil = new Date(now + rule.lockoutMinutes * 60 * 1000)
+            console.log('Locked out', key, 'until', fields.lockedUntil.toISOString())
+        }
+
+        await this.store.update(key, fields)
+    }
+
+    // Clear a key (successful sign in, admin unlock)
+    async reset(key) {
+        await this.store.delete(key)
+    }
+
+    /* Express middleware that counts every request from an IP (or from
+       whatever keyOf(req) returns, e.g. the signed-in user) against
+       `rule` and answers 429 once the limit is reached.
+       Example: router.post('/', limiter.rateLimit('lookupIp'), ...) */
+    rateLimit(ruleName, keyOf = (req) => req.ip) {
+        const rule = RULES[ruleName]
+
+        return async (req, res, next) => {
+            try {
+                const key = `${ruleName}:${keyOf(req)}`
+                const result = await this.check([key])
+
+                if (!result.allowed) {
+                    return sendTooManyRequests(res, result.retryAfterSeconds)
+                }
+
+                await this.record(key, rule)
+                next()
+            } catch (err) {
+                next(err)
+            }
+        }
+    }
+}
+
+/* ============= HELPERS ============= */
+
+// Keys used for sign-in limits
+function signinKeys(ip, email) {
+    return {
+        ip: `signin-ip:${ip}`,
+        account: `signin-account:${String(email || '').trim().toLowerCase()}`,
+    }
+}
+
+// Send a 429 with Retry-After so clients know how long to wait
+function sendTooManyRequests(res, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds))
+    return res.status(429).json({
+        message: 'Too many attempts. Please try again later',
+        retryAfter: retryAfterSeconds,
+    })
+}
+
+/* ============= STORE SELECTION ============= */
+
+function createStore() {
+    switch ((process.env.LIMITER_STORE || 'memory').toLowerCase()) {
+        case 'mongo':
+            return new MongoStore()
+        default:
+            return new MemoryStore()
+    }
+}
+
+/* ============= EXPORT ============= */
+
+// Export a single Limiter configured from .env, plus the rules and helpers
+module.exports = {
+    limiter: new Limiter(createStore()),
+    RULES,
+    signinKeys,
+    sendTooManyRequests,
+}
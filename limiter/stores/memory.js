@@ -0,0 +1,75 @@
+/* ==============================
+   MEMORY LIMITER STORE
+   Keeps attempt counters in a Map inside this process.
+   Fine for a single server; use the mongo store when running several
+   instances so they share the same counters
+  ============================== */
+
+class MemoryStore {
+    constructor() {
+        this.records = new Map()
+
+        // Drop expired records every minute so the Map doesn't grow forever.
+        // unref() -> this timer never keeps the process alive on its own
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000)
+        this.sweeper.unref()
+    }
+
+    // Return the record for a key ({ failures, nextAttemptAt, lockedUntil }) or null
+    async get(key) {
+        const record = this.records.get(key)
+
+        if (!record) return null
+
+        if (record.expiresAt <= Date.now()) {
+            this.records.delete(key)
+            return null
+        }
+
+        return { ...record }
+    }
+
+    // Add one attempt to a key and return the updated record.
+    // The counter starts again once windowMs passes without an attempt
+    async increment(key, windowMs) {
+        const now = Date.now()
+        const record = await this.get(key)
+
+        const updated = record
+            ? { ...record, failures: record.failures + 1 }
+            : { failures: 1, nextAttemptAt: null, lockedUntil: null }
+
+        updated.expiresAt = Math.max(now + windowMs, (record && record.expiresAt) || 0)
+
+        this.records.set(key, updated)
+        return { ...updated }
+    }
+
+    // Save nextAttemptAt / lockedUntil (Date or null) on an existing key.
+    // The record is kept at least until the lock ends
+    async update(key, fields) {
+        const record = this.records.get(key)
+        if (!record) return
+
+        Object.assign(record, fields)
+
+        if (fields.lockedUntil) {
+            record.expiresAt = Math.max(record.expiresAt, fields.lockedUntil.getTime())
+        }
+    }
+
+    // Forget a key (successful sign in / admin unlock)
+    async delete(key) {
+        this.records.delete(key)
+    }
+
+    // Remove every expired record
+    sweep() {
+        const now = Date.now()
+        for (const [key, record] of this.records) {
+            if (record.expiresAt <= now) this.records.delete(key)
+        }
+    }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,67 @@
+/* ==============================
+   MONGO LIMITER STORE
+   Keeps attempt counters in the LoginAttempt collection so every
+   server instance sees the same counts. Same interface as the memory
+   store
+  ============================== */
+
+const LoginAttempt = require('../../models/LoginAttempt')
+
+// MongoDB duplicate key error code (two instances upserting the same key)
+const DUPLICATE_KEY = 11000
+
+class MongoStore {
+    // Return the record for a key ({ failures, nextAttemptAt, lockedUntil }) or null
+    async get(key) {
+        return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean()
+    }
+
+    // Atomically add one attempt to a key and return the updated record.
+    // The counter starts again once windowMs passes without an attempt
+    async increment(key, windowMs, retried = false) {
+        const now = new Date()
+        const expiresAt = new Date(now.getTime() + windowMs)
+
+        // Existing, still active record -> add one
+        const existing = await LoginAttempt.findOneAndUpdate(
+            { key, expiresAt: { $gt: now } },
+            { $inc: { failures: 1 }, $max: { expiresAt } },
+            { new: true, lean: true }
+        )
+        if (existing) return existing
+
+        // No record (or an expired one) -> start a new window
+        try {
+            return await LoginAttempt.findOneAndUpdate(
+                { key },
+                { failures: 1, nextAttemptAt: null, lockedUntil: null, expiresAt },
+                { new: true, upsert: true, lean: true }
+            )
+        } catch (err) {
+            // Another instance created the record at the same time -> try again once
+            if (err.code === DUPLICATE_KEY && !retried) {
+                return this.increment(key, windowMs, true)
+            }
+            throw err
+        }
+    }
+
+    // Save nextAttemptAt / lockedUntil (Date or null) on an existing key.
+    // The record is kept at least until the lock ends
+    async update(key, fields) {
+        const update = { $set: fields }
+
+        if (fields.lockedUntil) {
+            update.$max = { expiresAt: fields.lockedUntil }
+        }
+
+        await LoginAttempt.updateOne({ key }, update)
+    }
+
+    // Forget a key (successful sign in / admin unlock)
+    async delete(key) {
+        await LoginAttempt.deleteOne({ key })
+    }
+}
+
+module.exports = MongoStore
@@ -0,0 +1,70 @@
+/* ==============================
+   MAILER
+   Small abstraction over how emails are delivered, so routes only ever
+   call Mailer.send() and never care whether the email goes out through
+   SMTP or is just written locally.
+
+   Pick the transport with MAIL_TRANSPORT in .env:
+   - smtp    -> real emails (see transports/smtp.js for settings)
+   - file    -> JSON files in MAIL_DIR (offline testing)
+   - console -> printed to the server log (default)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const SmtpTransport = require('./transports/smtp')
+const FileTransport = require('./transports/file')
+const ConsoleTransport = require('./transports/console')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+/* ============= MAILER CLASS ============= */
+
+class Mailer {
+    constructor(transport, from) {
+        this.transport = transport
+        this.from = from
+    }
+
+    // Send an email. message = { to, subject, text, html }
+    async send(message) {
+        return this.transport.send({
+            from: this.from,
+            ...message,
+        })
+    }
+
+    /* Send an email without waiting for it, logging any failure.
+       Used where the response must not depend on whether sending worked
+       (e.g. forgot-password must not reveal if an account exists) */
+    sendInBackground(message) {
+        this.send(message).catch((err) => {
+            console.error('Error sending email:', err)
+        })
+    }
+}
+
+/* ============= TRANSPORT SELECTION ============= */
+
+function createTransport() {
+    switch ((process.env.MAIL_TRANSPORT || 'console').toLowerCase()) {
+        case 'smtp':
+            return new SmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: process.env.SMTP_PORT,
+                secure: process.env.SMTP_SECURE,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+            })
+        case 'file':
+            return new FileTransport({ dir: process.env.MAIL_DIR })
+        default:
+            return new ConsoleTransport()
+    }
+}
+
+/* ============= EXPORT ============= */
+
+// Export a single Mailer configured from .env
+module.exports = new Mailer(createTransport(), process.env.MAIL_FROM || 'Nextep <no-reply@nextep.app>')
@@ -0,0 +1,111 @@
+/* ==============================
+   EMAIL TEMPLATES
+   Each function returns { subject, text, html } for Mailer.send()
+  ============================== */
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Base URL of the frontend, used to build links inside emails
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')
+
+// Escape user-provided values before putting them into HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/* ==============================
+   PASSWORD RESET
+  ============================== */
+function passwordReset(user, token, expiresInMinutes) {
+    const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`
+
+    return {
+        subject: 'Reset your Nextep password',
+        text: `Hi ${user.firstName},\n\n`
+            + 'We received a request to reset your password. Open the link below to choose a new one:\n\n'
+            + `${link}\n\n`
+            + `This link expires in ${expiresInMinutes} minutes and can only be used once.\n`
+            + 'If you did not ask to reset your password, you can ignore this email.',
+        html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+            + '<p>We received a request to reset your password. Click the link below to choose a new one:</p>'
+            + `<p><a href="${escapeHtml(link)}">Reset my password</a></p>`
+            + `<p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>`
+            + '<p>If you did not ask to reset your password, you can ignore this email.</p>',
+    }
+}
+
+/* ==============================
+   EMAIL VERIFICATION
+   Sent after sign up and when a user changes their email address
+  ============================== */
+function emailVerification(user, token, expiresInHours) {
+    const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`
+
+    return {
+        subject: 'Confirm your email address for Nextep',
+        text: `Hi ${user.firstName},\n\n`
+            + 'Please confirm this is your email address by opening the link below:\n\n'
+            + `${link}\n\n`
+            + `This link expires in ${expiresInHours} hours.\n`
+            + 'If you did not create a Nextep account or change your email, you can ignore this email.',
+        html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+            + '<p>Please confirm this is your email address by clicking the link below:</p>'
+            + `<p><a href="${escapeHtml(link)}">Confirm my email</a></p>`
+            + `<p>This link expires in ${expiresInHours} hours.</p>`
+            + '<p>If you did not create a Nextep account or change your email, you can ignore this email.</p>',
+    }
+}
+
+/* ==============================
+   EMAIL CHANGE NOTICE
+   Sent to the old address when someone asks to change the account email
+  ============================== */
+function emailChangeNotice(user, newEmail) {
+    return {
+        subject: 'Your Nextep email address is being changed',
+        text: `Hi ${user.firstName},\n\n`
+            + `A request was made to change the email address on your Nextep account to ${newEmail}.\n`
+            + 'The change will only happen once the new address is confirmed.\n\n'
+            + 'If you did not make this request, please change your password straight away.',
+        html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+            + `<p>A request was made to change the email address on your Nextep account to <strong>${escapeHtml(newEmail)}</strong>.</p>`
+            + '<p>The change will only happen once the new address is confirmed.</p>'
+            + '<p>If you did not make this request, please change your password straight away.</p>',
+    }
+}
+
+/* ==============================
+   ACCOUNT DELETED
+   Sent when an account is deleted, with a link to undo it during the
+   grace period
+  ============================== */
+function accountDeleted(user, token, purgeAt) {
+    const link = `${FRONTEND_URL}/restore-account?token=${encodeURIComponent(token)}`
+    const purgeDate = purgeAt.toDateString()
+
+    return {
+        subject: 'Your Nextep account has been deleted',
+        text: `Hi ${user.firstName},\n\n`
+            + 'Your Nextep account has been deleted and you can no longer sign in.\n'
+            + `Your account and everything in it will be permanently removed on ${purgeDate}.\n\n`
+            + 'If this was a mistake, open the link below before then to restore it:\n\n'
+            + `${link}\n`,
+        html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+            + '<p>Your Nextep account has been deleted and you can no longer sign in.</p>'
+            + `<p>Your account and everything in it will be permanently removed on <strong>${purgeDate}</strong>.</p>`
+            + '<p>If this was a mistake, click the link below before then to restore it:</p>'
+            + `<p><a href="${escapeHtml(link)}">Restore my account</a></p>`,
+    }
+}
+
+module.exports = {
+    passwordReset,
+    emailVerification,
+    emailChangeNotice,
+    accountDeleted,
+}
@@ -0,0 +1,21 @@
+/* ==============================
+   CONSOLE MAIL TRANSPORT
+   Prints every email to the server log instead of sending it.
+   Default transport when nothing is configured
+  ============================== */
+
+class ConsoleTransport {
+    // Print a message ({ from, to, subject, text, html })
+    async send(message) {
+        console.log('========== EMAIL ==========')
+        console.log('From:   ', message.from)
+        console.log('To:     ', message.to)
+        console.log('Subject:', message.subject)
+        console.log('')
+        console.log(message.text)
+        console.log('===========================')
+        return {}
+    }
+}
+
+module.exports = ConsoleTransport
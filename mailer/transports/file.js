@@ -0,0 +1,33 @@
+/* ==============================
+   FILE MAIL TRANSPORT
+   Writes every email as a JSON file instead of sending it, so flows like
+   password reset can be tested offline. Files are written to MAIL_DIR
+   (default: <project-root>/mail-outbox)
+  ============================== */
+
+const fs = require('fs')
+const path = require('path')
+
+class FileTransport {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '..', '..', 'mail-outbox')
+    }
+
+    // Save a message ({ from, to, subject, text, html }) as <timestamp>-<to>.json
+    async send(message) {
+        await fs.promises.mkdir(this.dir, { recursive: true })
+
+        const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_')
+        const filePath = path.join(this.dir, `${Date.now()}-${safeTo}.json`)
+
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            ...message,
+            date: new Date().toISOString(),
+        }, null, 2))
+
+        console.log('Email written to', filePath)
+        return { filePath }
+    }
+}
+
+module.exports = FileTransport
@@ -0,0 +1,27 @@
+/* ==============================
+   SMTP MAIL TRANSPORT
+   Sends real emails through an SMTP server using nodemailer.
+   Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and
+   SMTP_PASS in .env
+  ============================== */
+
+const nodemailer = require('nodemailer')
+
+class SmtpTransport {
+    constructor(options = {}) {
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: Number(options.port) || 587,
+            // true for port 465, false for other ports (STARTTLS)
+            secure: options.secure === true || options.secure === 'true',
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+        })
+    }
+
+    // Deliver a message ({ from, to, subject, text, html })
+    async send(message) {
+        return this.transporter.sendMail(message)
+    }
+}
+
+module.exports = SmtpTransport
@@ -0,0 +1,283 @@
+/* ==============================
+   AUTH MIDDLEWARE
+   Shared helpers for protecting routes with the JWT issued by
+   /auth/signin and POST /user (or a personal access token), and for
+   checking that the signed-in user is allowed to touch the resource
+   they are asking for.
+   Permissions come from the user's role (see config/roles.js), and
+   personal access tokens are further limited by scopes (config/scopes.js)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+// express-jwt verifies the "Authorization: Bearer <token>" header for us
+// and stores the decoded payload on req.auth
+const { expressjwt, UnauthorizedError } = require('express-jwt')
+
+// Used to check that a token has not been revoked server-side
+const User = require('../models/User')
+const Session = require('../models/Session')
+const PersonalAccessToken = require('../models/PersonalAccessToken')
+const mongoose = require('mongoose')
+
+// Named roles and the permissions they grant
+const { roleHasPermission } = require('../config/roles')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How often a session's (or personal access token's) last-used time is
+// updated while it is being used
+const LAST_SEEN_INTERVAL_MS = 60 * 1000
+
+/* ==============================
+   isTokenRevoked
+   A token is revoked when its user no longer exists, the user's
+   tokenVersion has been bumped since the token was signed
+   (POST /auth/logout-all, POST /auth/change-password, role changes),
+   or the session it belongs to (sid) has been ended
+   (POST /auth/logout, DELETE /auth/sessions/:id)
+  ============================== */
+async function isTokenRevoked(req, token) {
+    const payload = token && token.payload
+    if (!payload) return true
+
+    // Tokens made for something else (e.g. 2FA challenge) are never access tokens
+    if (payload.purpose) return true
+
+    const authUser = payload.user || payload
+    const userId = authUser.id || authUser._id
+    if (!userId || !mongoose.isValidObjectId(userId)) return true
+
+    const user = await User.findById(userId).select('tokenVersion')
+    if (!user) return true
+
+    if ((payload.tokenVersion || 0) !== (user.tokenVersion || 0)) return true
+
+    // Tokens signed before sessions existed have no sid
+    if (!payload.sid) return false
+
+    const session = mongoose.isValidObjectId(payload.sid)
+        ? await Session.findById(payload.sid).select('revokedAt lastSeenAt')
+        : null
+    if (!session || session.revokedAt) return true
+
+    // Record activity for GET /auth/sessions (at most once a minute per session)
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+        Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip })
+            .catch((err) => console.error('Error updating session:', err))
+    }
+
+    return false
+}
+
+// Verifies JWTs issued at sign in (see authenticate below)
+const authenticateJwt = expressjwt({
+    // Read the secret lazily so it is always the value loaded from .env
+    secret: () => process.env.SECRET_KEY,
+    algorithms: ['HS256'],
+    isRevoked: isTokenRevoked,
+})
+
+// Read the token from "Authorization: Bearer <token>"
+function getBearerToken(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ')
+    return scheme && scheme.toLowerCase() === 'bearer' ? token : undefined
+}
+
+/* ==============================
+   authenticatePersonalAccessToken
+   Looks up a "nxp_..." token and fills req.auth the same way a JWT
+   would, plus tokenType: 'pat' and the token's scopes
+  ============================== */
+async function authenticatePersonalAccessToken(req, token) {
+    const accessToken = await PersonalAccessToken.findActiveByToken(token)
+    const user = accessToken ? await User.findById(accessToken.user).select('role deletedAt') : null
+
+    if (!user || user.deletedAt) {
+        throw new UnauthorizedError('invalid_token', { message: 'Invalid, expired or revoked personal access token' })
+    }
+
+    req.auth = {
+        user: { id: user.id, role: user.role },
+        tokenType: 'pat',
+        tokenId: accessToken.id,
+        scopes: accessToken.scopes,
+    }
+
+    // Record when the token was last used (at most once a minute)
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+        PersonalAccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() })
+            .catch((err) => console.error('Error updating personal access token:', err))
+    }
+}
+
+/* ==============================
+   authenticate
+   Rejects the request with 401 (see handleAuthError) unless it carries
+   a valid, unexpired, non-revoked JWT signed with SECRET_KEY, or an
+   active personal access token ("nxp_...").
+   Supports .unless() to skip public paths, e.g.
+   authenticate.unless({ path: [{ url: '/user', methods: ['POST'] }] })
+  ============================== */
+function authenticate(req, res, next) {
+    const token = getBearerToken(req)
+
+    if (!PersonalAccessToken.isPersonalAccessToken(token)) {
+        return authenticateJwt(req, res, next)
+    }
+
+    authenticatePersonalAccessToken(req, token).then(() => next(), next)
+}
+
+// express-unless uses "this" as the middleware, so this skips authenticate
+authenticate.unless = authenticateJwt.unless
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+// Returns the user object stored inside the token payload ({ user: {...} })
+function getAuthUser(req) {
+    if (!req.auth) return null
+    return req.auth.user || req.auth
+}
+
+// Returns the id of the signed-in user as a string
+function getAuthUserId(req) {
+    const authUser = getAuthUser(req)
+    if (!authUser) return null
+
+    const userId = authUser.id || authUser._id
+    return userId ? String(userId) : null
+}
+
+// Role of the signed-in user (stored in the token when it was signed)
+function getAuthRole(req) {
+    const authUser = getAuthUser(req)
+    return authUser ? authUser.role : null
+}
+
+// True when the signed-in user's role grants the permission
+function hasPermission(req, permission) {
+    return roleHasPermission(getAuthRole(req), permission)
+}
+
+/* True when the signed-in user owns the resource, or their role grants
+   `permission` for acting on other users' data */
+function canAccessUser(req, ownerId, permission) {
+    if (permission && hasPermission(req, permission)) return true
+
+    const userId = getAuthUserId(req)
+    return !!userId && !!ownerId && userId === String(ownerId)
+}
+
+/* ==============================
+   requirePermission(permission)
+   Only lets the request through when the signed-in user's role grants
+   the permission.
+   Example: router.get('/', requirePermission(PERMISSIONS.USERS_LIST), ...)
+  ============================== */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req, permission)) {
+            console.log('403 - Missing permission', permission)
+            return res.status(403).json({
+                message: 'You do not have permission to access this resource',
+            })
+        }
+        next()
+    }
+}
+
+/* ==============================
+   requireSelfOr(permission, param)
+   Only lets the request through when req.params[param] is the id of
+   the signed-in user, or their role grants `permission`.
+   Example: router.put('/:id', requireSelfOr(PERMISSIONS.USERS_UPDATE_ANY), ...)
+  ============================== */
+function requireSelfOr(permission, param = 'id') {
+    return (req, res, next) => {
+        if (!canAccessUser(req, req.params[param], permission)) {
+            console.log('403 - Not allowed to access another user\'s data')
+            return res.status(403).json({
+                message: 'You do not have permission to access this resource',
+            })
+        }
+        next()
+    }
+}
+
+// True when the request was authenticated with a personal access token
+function isPersonalAccessToken(req) {
+    return !!req.auth && req.auth.tokenType === 'pat'
+}
+
+/* ==============================
+   requireScope(scope)
+   Personal access tokens only get through when they were given `scope`.
+   Normal sign-in tokens are not limited by scopes.
+   Example: router.get('/:userId', requireScope(SCOPES.APPLICATIONS_READ), ...)
+  ============================== */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (isPersonalAccessToken(req) && !(req.auth.scopes || []).includes(scope)) {
+            console.log('403 - Token is missing scope', scope)
+            return res.status(403).json({
+                message: `This token does not have the ${scope} scope`,
+            })
+        }
+        next()
+    }
+}
+
+/* ==============================
+   requireSessionToken
+   For routes that manage the account itself (password, sessions, 2FA,
+   tokens, admin): personal access tokens are never accepted
+  ============================== */
+function requireSessionToken(req, res, next) {
+    if (isPersonalAccessToken(req)) {
+        console.log('403 - Personal access token used on an account route')
+        return res.status(403).json({
+            message: 'Personal access tokens cannot be used for this endpoint',
+        })
+    }
+    next()
+}
+
+/* ==============================
+   handleAuthError
+   Express error handler that turns express-jwt failures (missing,
+   malformed, expired or tampered tokens) into a consistent 401 response.
+   Must be registered after the routers in server.js
+  ============================== */
+function handleAuthError(err, req, res, next) {
+    if (err && err.name === 'UnauthorizedError') {
+        console.log('401 -', err.message)
+        return res.status(401).json({
+            message: 'Invalid or missing token',
+            error: err.message,
+        })
+    }
+
+    // Not an auth error -> let Express deal with it
+    next(err)
+}
+
+/* ============= EXPORT ============= */
+
+module.exports = {
+    authenticate,
+    getAuthUser,
+    getAuthUserId,
+    getAuthRole,
+    hasPermission,
+    canAccessUser,
+    requirePermission,
+    requireSelfOr,
+    isPersonalAccessToken,
+    requireScope,
+    requireSessionToken,
+    handleAuthError,
+}
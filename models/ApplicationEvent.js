@@ -0,0 +1,98 @@
+// models/ApplicationEvent.js
+
+/* ==============================
+   APPLICATION EVENT MODEL
+   One entry in a job application's timeline
+   (GET /job-application/:id/timeline): when it was created, every
+   status change and when it was deleted.
+   Kept in its own collection so the timeline of a deleted application
+   can still be shown
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const applicationEventSchema = new mongoose.Schema({
+        // The application this happened to (may no longer exist)
+        application: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobApplication',
+            required: true,
+        },
+
+        // Whose board the application is on (copied so ownership can be
+        // checked after the application is deleted)
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        type: {
+            type: String,
+            enum: ['created', 'status_changed', 'deleted', 'restored'],
+            required: true,
+        },
+
+        // Status before and after. fromStatus is null for "created"
+        fromStatus: {
+            type: String,
+            default: null,
+        },
+        toStatus: {
+            type: String,
+            default: null,
+        },
+
+        // When it actually happened. Defaults to now, but a status change
+        // can be backdated ("they called me last Tuesday")
+        occurredAt: {
+            type: Date,
+            required: true,
+            default: Date.now,
+        },
+
+        // Optional note, e.g. "Phone call with the hiring manager"
+        note: {
+            type: String,
+            default: '',
+            trim: true,
+            maxlength: 1000,
+        },
+
+        // true when the app changed the status on its own rather than the
+        // user picking a stage (e.g. the stage was deleted), so analytics
+        // don't take it for a response from the employer
+        automatic: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Who made the change (null for migrations and background jobs)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        // createdAt = when the event was recorded (occurredAt can be earlier)
+        timestamps: { createdAt: true, updatedAt: false },
+    })
+
+// The timeline is read per application, in the order things happened
+applicationEventSchema.index({ application: 1, occurredAt: 1 })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const ApplicationEvent = mongoose.model('ApplicationEvent', applicationEventSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = ApplicationEvent
@@ -0,0 +1,110 @@
+// models/AuditLog.js
+
+/* ==============================
+   AUDIT LOG MODEL
+   Append-only record of account and security events: who did it
+   (actor), who it was done to (target), what happened (action), which
+   fields changed (secrets redacted), from which IP and when.
+   Entries are written through services/audit.js and can never be
+   changed or deleted through this model
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const auditLogSchema = new mongoose.Schema({
+        // What happened, e.g. "auth.signin" (see AUDIT_ACTIONS in services/audit.js)
+        action: {
+            type: String,
+            required: true,
+            index: true,
+        },
+
+        // Who did it (null for failed sign-ins with an unknown email and
+        // for jobs like the account purge). The email is copied so the entry
+        // still makes sense after the account is gone
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true,
+        },
+        actorEmail: {
+            type: String,
+        },
+
+        // Whose account it was done to
+        target: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true,
+        },
+        targetEmail: {
+            type: String,
+        },
+
+        // Fields that changed. Secret values are stored as "[REDACTED]"
+        changes: [{
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+        }],
+
+        // Anything else worth keeping (e.g. { reason: 'invalid-password' })
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+
+        ip: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+    },
+    {
+        // Entries are never updated, so only createdAt is needed
+        timestamps: { createdAt: true, updatedAt: false },
+    })
+
+// GET /admin/audit lists newest first
+auditLogSchema.index({ createdAt: -1 })
+
+/* ==============================
+   APPEND-ONLY
+   Refuse every way of changing or removing an existing entry
+  ============================== */
+
+function refuseChange() {
+    throw new Error('Audit log entries cannot be changed or deleted')
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) refuseChange()
+})
+
+auditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+], refuseChange)
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = AuditLog
@@ -0,0 +1,78 @@
+// models/DataExport.js
+
+/* ==============================
+   DATA EXPORT MODEL
+   A personal data export (GET /user/:id/export) that is too big to
+   send straight away and is built in the background instead. The ZIP
+   itself lives on disk (see services/dataExport.js); this tracks its
+   progress and when it should be removed
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const dataExportSchema = new mongoose.Schema({
+        // Whose data is in the export
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Who asked for it (the user themselves, or an admin)
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+
+        // pending -> processing -> ready (or failed)
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'ready', 'failed'],
+            default: 'pending',
+            required: true,
+        },
+
+        // Name of the ZIP file in the exports folder once it is ready
+        fileName: {
+            type: String,
+        },
+
+        // Size of the ZIP in bytes
+        size: {
+            type: Number,
+        },
+
+        // Why the export failed
+        error: {
+            type: String,
+        },
+
+        completedAt: {
+            type: Date,
+        },
+
+        // When the ZIP (and this record) are removed
+        expiresAt: {
+            type: Date,
+            index: true,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const DataExport = mongoose.model('DataExport', dataExportSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = DataExport
@@ -0,0 +1,61 @@
+// models/Document.js
+
+/* ==============================
+   DOCUMENT MODEL
+   One uploaded job application document (CV, cover letter...). The file
+   is stored under a generated name (see services/documents.js), so two
+   users uploading "cv.pdf" never touch each other's file, and the
+   uploader is recorded so only they can attach or download it
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const documentSchema = new mongoose.Schema({
+        // Who uploaded it
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Name of the file on disk, as stored in jobApplication.documents
+        // (e.g. "9f86d081884c7d659a2feaa0-cv.pdf")
+        fileName: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // Name of the file on the uploader's computer (e.g. "cv.pdf")
+        originalName: {
+            type: String,
+            required: true,
+        },
+
+        size: {
+            type: Number,
+        },
+
+        mimeType: {
+            type: String,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const Document = mongoose.model('Document', documentSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = Document
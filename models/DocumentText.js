@@ -0,0 +1,79 @@
+// models/DocumentText.js
+
+/* ==============================
+   DOCUMENT TEXT MODEL
+   Text extracted from an uploaded PDF / DOCX (models/Document.js), so
+   the words inside CVs and job descriptions can be searched.
+   One entry per document, kept with the document's owner so it only
+   ever shows up in that user's search
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const documentTextSchema = new mongoose.Schema({
+        // The uploaded document the text was read from
+        document: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Document',
+            required: true,
+            unique: true,
+        },
+
+        // Who uploaded it
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // Its stored file name (as in jobApplication.documents)
+        fileName: {
+            type: String,
+            required: true,
+        },
+
+        // The extracted text (cut to a maximum length, see services/documentText.js)
+        text: {
+            type: String,
+            default: '',
+        },
+
+        // Size and modified time of the file the text came from, so a
+        // replaced file is noticed and read again
+        size: {
+            type: Number,
+        },
+        modifiedAt: {
+            type: Date,
+        },
+
+        // Why no text could be read (unsupported type, damaged file...)
+        error: {
+            type: String,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+/* ==============================
+   INDEXES
+  ============================== */
+
+// Text is always looked up for one user's files
+documentTextSchema.index({ user: 1, fileName: 1 })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const DocumentText = mongoose.model('DocumentText', documentTextSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = DocumentText
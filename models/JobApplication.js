@@ -57,13 +57,15 @@ const jobApplicationSchema = new mongoose.Schema({
         /* ==========================
            APPLICATION STATUS
            - Status controls which column it appears in the dashboard
-           - Restrict this field to a set of allowed values using enum
+           - It is the key of one of the owner's pipeline stages
+             (models/PipelineStage.js), checked by the routes because
+             every user has their own list
           ========================== */
         status: {
             type: String,
-            enum: ['applied', 'interviewing', 'offer', 'rejected'],
             default: 'applied',
             required: true,
+            trim: true,
         },
 
         /* ==========================
@@ -119,6 +121,42 @@ const jobApplicationSchema = new mongoose.Schema({
                 type: String, // e.g. "cv_user_12345.pdf"
             },
         ],
+
+        // Labels the user picks (e.g. "remote", "referral"), lower case
+        tags: [
+            {
+                type: String,
+                trim: true,
+                lowercase: true,
+            },
+        ],
+
+        // When the application was archived: hidden from the board but
+        // still searchable. null = on the board
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // When the application was deleted (moved to the trash) and when
+        // the purge job will remove it for good (services/applicationTrash.js).
+        // null = not in the trash
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        purgeAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Text read from the documents above, only used by search
+        // (kept up to date by services/documentText.js, never sent to clients)
+        documentsText: {
+            type: String,
+            default: '',
+            select: false,
+        },
     },
     {
         // This option automatically adds:
@@ -127,6 +165,42 @@ const jobApplicationSchema = new mongoose.Schema({
         timestamps: true,
     })
 
+/* ==============================
+   INDEXES
+   A board is always read for one user; these cover the default sort,
+   the status filter / counts, sorting by date applied and the tag
+   filter, plus the text index for search
+  ============================== */
+
+jobApplicationSchema.index({ user: 1, createdAt: -1 })
+jobApplicationSchema.index({ user: 1, status: 1 })
+jobApplicationSchema.index({ user: 1, dateApplied: -1 })
+jobApplicationSchema.index({ user: 1, tags: 1 })
+
+// The trash purge job
+jobApplicationSchema.index({ purgeAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } })
+
+// Full-text search (GET /job-application/:userId/search). Weights rank a
+// match in the company or position above one buried in a document.
+// language_override points at a field that doesn't exist so no field is
+// ever read as the document's language
+jobApplicationSchema.index(
+    {
+        company: 'text',
+        position: 'text',
+        location: 'text',
+        notes: 'text',
+        jobUrl: 'text',
+        documentsText: 'text',
+    },
+    {
+        name: 'application_search',
+        weights: { company: 10, position: 10, location: 4, notes: 3, jobUrl: 2, documentsText: 1 },
+        default_language: 'english',
+        language_override: 'searchLanguage',
+    }
+)
+
 /* ==============================
    MODEL
    - This creates the model class
@@ -0,0 +1,64 @@
+// models/LoginAttempt.js
+
+/* ==============================
+   LOGIN ATTEMPT MODEL
+   Attempt counters used by the mongo limiter store
+   (limiter/stores/mongo.js), so several server instances share the
+   same sign-in rate limits and lockouts
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const loginAttemptSchema = new mongoose.Schema({
+        // What is being limited, e.g. "signin-ip:1.2.3.4" or "signin-account:jane@example.com"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // Number of attempts in the current window
+        failures: {
+            type: Number,
+            default: 0,
+        },
+
+        // Exponential backoff: no new attempt is allowed before this time
+        nextAttemptAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Temporary lockout after too many failures
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+
+        // When the record is forgotten (end of window, or end of lockout)
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+// Let MongoDB remove records automatically once they have expired
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema)
+
+// Export the model so other files can use it
+module.exports = LoginAttempt
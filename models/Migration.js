@@ -0,0 +1,42 @@
+// models/Migration.js
+
+/* ==============================
+   MIGRATION MODEL
+   One entry per data migration (services/migrations.js) that has
+   finished, so it isn't run again on the next start
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const migrationSchema = new mongoose.Schema({
+        // Name from the MIGRATIONS list, e.g. "pipeline-stages"
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // How many documents it changed
+        changed: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        // createdAt = when it finished
+        timestamps: { createdAt: true, updatedAt: false },
+    })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const Migration = mongoose.model('Migration', migrationSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = Migration
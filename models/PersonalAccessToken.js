@@ -0,0 +1,128 @@
+// models/PersonalAccessToken.js
+
+/* ==============================
+   PERSONAL ACCESS TOKEN MODEL
+   Long-lived, named tokens for scripts and integrations, sent as
+   "Authorization: Bearer nxp_...". Each token is limited to a set of
+   scopes (config/scopes.js) and can expire. Only a SHA-256 hash is
+   stored - the token itself is shown once when it is created
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+// Used to generate random token values
+const crypto = require('crypto')
+
+// Used to hash tokens before storing / looking them up
+const Utils = require('../Utils')
+
+// Every personal access token starts with this, so it is easy to tell
+// apart from a JWT (and to spot in leaked code)
+const TOKEN_PREFIX = 'nxp_'
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const personalAccessTokenSchema = new mongoose.Schema({
+        // The user the token acts as
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Name chosen by the user (e.g. "Weekly cleanup script")
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        // SHA-256 hash of the token value
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // First characters of the token, so users can tell tokens apart in the list
+        hint: {
+            type: String,
+        },
+
+        // What the token may do (see config/scopes.js)
+        scopes: [
+            {
+                type: String,
+            },
+        ],
+
+        // Optional expiry - the token is refused after this date
+        expiresAt: {
+            type: Date,
+        },
+
+        // Last time the token was used to call the API
+        lastUsedAt: {
+            type: Date,
+        },
+
+        // Set when the user revokes the token
+        revokedAt: {
+            type: Date,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+/* ==============================
+   STATICS
+  ============================== */
+
+/* Create and store a new token.
+   Returns { token, doc } - token is the raw value, shown to the user once */
+personalAccessTokenSchema.statics.issue = async function ({ userId, name, scopes, expiresAt }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+    const doc = await this.create({
+        user: userId,
+        name,
+        tokenHash: Utils.hashToken(token),
+        hint: token.slice(0, TOKEN_PREFIX.length + 4),
+        scopes,
+        expiresAt,
+    })
+
+    return { token, doc }
+}
+
+// Find a usable (not revoked, not expired) token by its raw value
+personalAccessTokenSchema.statics.findActiveByToken = function (token) {
+    return this.findOne({
+        tokenHash: Utils.hashToken(token),
+        revokedAt: null,
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } },
+        ],
+    })
+}
+
+// True when a bearer token looks like a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function (token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX)
+}
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = PersonalAccessToken
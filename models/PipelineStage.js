@@ -0,0 +1,90 @@
+// models/PipelineStage.js
+
+/* ==============================
+   PIPELINE STAGE MODEL
+   The columns of a user's board (wishlist, applied, phone screen...).
+   Every user has their own list, which they can rename, recolour,
+   reorder and archive. A job application's `status` is the `key` of
+   one of its owner's stages.
+   Each stage is flagged with an outcome so analytics can tell open
+   applications from offers and dead ends
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const pipelineStageSchema = new mongoose.Schema({
+        // Whose board the stage belongs to
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // Stored in jobApplication.status. Never changes, even when the
+        // stage is renamed, so applications keep pointing at it
+        key: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        // Name shown on the board (e.g. "Phone screen")
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 40,
+        },
+
+        // Column colour, as #rrggbb
+        color: {
+            type: String,
+            required: true,
+            match: /^#[0-9a-f]{6}$/,
+        },
+
+        // Position on the board, left to right
+        order: {
+            type: Number,
+            required: true,
+        },
+
+        // active = still in progress, won = got an offer, lost = turned
+        // down by the employer, dropped = ended without an answer from
+        // them (withdrew, ghosted...)
+        outcome: {
+            type: String,
+            enum: ['active', 'won', 'lost', 'dropped'],
+            default: 'active',
+            required: true,
+        },
+
+        // Archived stages are hidden from the board and can't be chosen
+        // for applications any more (applications already in them stay)
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+// One stage per key on each board; also used to list a board in order
+pipelineStageSchema.index({ user: 1, key: 1 }, { unique: true })
+pipelineStageSchema.index({ user: 1, order: 1 })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const PipelineStage = mongoose.model('PipelineStage', pipelineStageSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = PipelineStage
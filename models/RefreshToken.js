@@ -0,0 +1,130 @@
+// models/RefreshToken.js
+
+/* ==============================
+   REFRESH TOKEN MODEL
+   Long-lived tokens that let the frontend get a new access token
+   without signing in again. Only a SHA-256 hash of each token is stored,
+   so a database leak does not hand out working tokens.
+
+   Tokens rotate: every call to /auth/refresh revokes the token that was
+   used and issues a new one in the same "family". If a revoked token is
+   ever presented again it means it was copied, so the whole family is
+   revoked (reuse detection)
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+// Used to generate random tokens and family ids
+const crypto = require('crypto')
+
+// Used to hash tokens before storing / looking them up
+const Utils = require('../Utils')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How long a refresh token stays valid (in days) - REFRESH_TOKEN_TTL_DAYS in .env
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const refreshTokenSchema = new mongoose.Schema({
+        // The user this token belongs to
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // SHA-256 hash of the token value (the raw value is only sent to the client)
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // All tokens rotated from the same sign-in share a family id
+        family: {
+            type: String,
+            required: true,
+            index: true,
+        },
+
+        // When the token stops being accepted
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        // Set when the token has been used (rotated) or revoked by logout
+        revokedAt: {
+            type: Date,
+        },
+
+        // Hash of the token that replaced this one during rotation
+        replacedBy: {
+            type: String,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+// Let MongoDB remove tokens automatically once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/* ==============================
+   STATICS
+  ============================== */
+
+/* Create and store a new refresh token for a user.
+   Pass an existing family id when rotating, or leave it out to start a
+   new family (a new sign-in).
+   Returns { token, doc } - token is the raw value to send to the client */
+refreshTokenSchema.statics.issue = async function (userId, family) {
+    const token = crypto.randomBytes(48).toString('hex')
+
+    const doc = await this.create({
+        user: userId,
+        tokenHash: Utils.hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    })
+
+    return { token, doc }
+}
+
+// Find a stored token by its raw value
+refreshTokenSchema.statics.findByToken = function (token) {
+    return this.findOne({ tokenHash: Utils.hashToken(token) })
+}
+
+// Revoke every token in a family (used by logout and reuse detection)
+refreshTokenSchema.statics.revokeFamily = function (family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date() }
+    )
+}
+
+// Revoke every token a user has (log out everywhere / password change)
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    )
+}
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = RefreshToken
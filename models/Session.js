@@ -0,0 +1,71 @@
+// models/Session.js
+
+/* ==============================
+   SESSION MODEL
+   One document per sign-in (per device / browser). Access tokens carry
+   the session id ("sid") and refresh tokens use it as their family, so
+   revoking a session ends both straight away.
+   Listed and revoked through GET / DELETE /auth/sessions
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const sessionSchema = new mongoose.Schema({
+        // The user who signed in
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Browser / app that signed in (User-Agent header)
+        userAgent: {
+            type: String,
+            default: '',
+        },
+
+        // IP address that signed in, then the last IP seen
+        ip: {
+            type: String,
+            default: '',
+        },
+
+        // Last time a token for this session was used
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // Set when the session is ended (logout, revoked, password change)
+        revokedAt: {
+            type: Date,
+        },
+
+        // When the session's refresh token runs out (moved on at each refresh)
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        // createdAt = when the user signed in
+        timestamps: true,
+    })
+
+// Let MongoDB remove sessions automatically once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const Session = mongoose.model('Session', sessionSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = Session
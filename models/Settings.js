@@ -0,0 +1,52 @@
+// models/Settings.js
+
+/* ==============================
+   SETTINGS MODEL
+   App-wide settings that admins can change at runtime through
+   /admin/settings. There is only ever one settings document
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const settingsSchema = new mongoose.Schema({
+        // When true, users must confirm their email address before /auth/signin
+        // lets them in. Initial value comes from REQUIRE_EMAIL_VERIFICATION in .env
+        requireEmailVerification: {
+            type: Boolean,
+            default: () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+/* ==============================
+   STATICS
+  ============================== */
+
+// Return the settings document, creating it with defaults the first time
+settingsSchema.statics.current = async function () {
+    return this.findOneAndUpdate(
+        {},
+        {},
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    )
+}
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const Settings = mongoose.model('Settings', settingsSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = Settings
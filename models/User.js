@@ -12,6 +12,12 @@ require('mongoose-type-email')
 // Import utility functions (e.g., password hashing) from utils.js
 const Utils = require('../Utils')
 
+// Named roles (user, coach, admin) and the permissions they grant
+const { ROLES, DEFAULT_ROLE } = require('../config/roles')
+
+// Allowed values and defaults for user.preferences
+const { DEFAULTS, PAY_PERIODS } = require('../config/preferences')
+
 
 /* ============= SCHEMA ============= */
 
@@ -34,6 +40,16 @@ const userSchema = new mongoose.Schema({
         required: true,
         unique: true,
     },
+    // Whether the user has confirmed they own the email address above
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    // New email address waiting to be confirmed. The email field above only
+    // changes once the link sent to this address has been opened
+    pendingEmail: {
+        type: mongoose.SchemaTypes.Email,
+    },
     // User's password
     password: {
         type: String, // Must be a string
@@ -43,25 +59,169 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: '', // Empty string if bio is not provided
     },
-    // User's avatar stored as a string of the file name
+    // User's avatar: every size / format generated by services/avatar.js,
+    // served from /avatars/<fileName>. null if the user hasn't uploaded one yet
     avatar: {
-        type: String,
-        default: '', // Avatar empty if user hasn't uploaded yet
+        type: new mongoose.Schema({
+            // Hash of the uploaded image (also part of each file name)
+            hash: String,
+            updatedAt: Date,
+            variants: [{
+                _id: false,
+                size: Number,      // width and height in pixels
+                format: String,    // 'webp' or 'png'
+                fileName: String,
+                bytes: Number,
+            }],
+        }, { _id: false }),
+        default: null,
     },
-    // User's access level (e.g., 0 = regular user, 1 = admin)
-    accessLevel: {
-        type: Number, // Must be a number
+    // User's role (see config/roles.js for what each role is allowed to do)
+    role: {
+        type: String,
+        enum: Object.keys(ROLES),
+        default: DEFAULT_ROLE,
         required: true,
     },
-    // Flag to indicate whether the user is new (for first-time guide)
-    newUser: {
-        type: Boolean,
-        default: true,
+    // Settings that follow the user between devices (see config/preferences.js,
+    // GET / PATCH /user/:id/preferences)
+    preferences: {
+        // IANA time zone, e.g. "Australia/Melbourne"
+        timezone: {
+            type: String,
+            default: DEFAULTS.timezone,
+        },
+        // Language tag used to format dates and numbers, e.g. "en-AU"
+        locale: {
+            type: String,
+            default: DEFAULTS.locale,
+        },
+        // Currency and pay period new salaries are entered in
+        salaryCurrency: {
+            type: String,
+            default: DEFAULTS.salaryCurrency,
+        },
+        salaryPeriod: {
+            type: String,
+            enum: PAY_PERIODS,
+            default: DEFAULTS.salaryPeriod,
+        },
+        // Status new applications start in on the board
+        defaultStatus: {
+            type: String,
+            default: DEFAULTS.defaultStatus,
+        },
+        // Which emails the user wants
+        notifications: {
+            interviewReminders: { type: Boolean, default: DEFAULTS.notifications.interviewReminders },
+            applicationUpdates: { type: Boolean, default: DEFAULTS.notifications.applicationUpdates },
+            weeklySummary: { type: Boolean, default: DEFAULTS.notifications.weeklySummary },
+            productNews: { type: Boolean, default: DEFAULTS.notifications.productNews },
+        },
+        // First-time guides the user has already seen (replaces the old
+        // newUser flag, see the newUser virtual below)
+        onboarding: {
+            welcome: { type: Boolean, default: false },
+            board: { type: Boolean, default: false },
+            documents: { type: Boolean, default: false },
+            analytics: { type: Boolean, default: false },
+        },
+    },
+    // Two-factor authentication (TOTP). Secrets are encrypted and recovery
+    // codes hashed (see services/totp.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        // Confirmed secret used to check codes at sign in
+        secret: {
+            type: String,
+        },
+        // Secret waiting to be confirmed with a first code during enrolment
+        pendingSecret: {
+            type: String,
+        },
+        // Hashes of the unused one-time recovery codes
+        recoveryCodes: {
+            type: [String],
+            default: undefined,
+        },
+        // Last time step a code was accepted for (stops codes being replayed)
+        lastUsedStep: {
+            type: Number,
+        },
+        enabledAt: {
+            type: Date,
+        },
+    },
+    // Incremented to revoke every access token issued before (log out
+    // everywhere, password change). Copied into each JWT when it is signed
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // Set when the account is deleted (DELETE /user/:id). The account can be
+    // restored until purgeAt, then it is removed for good with all its data
+    // (see services/accountDeletion.js)
+    deletedAt: {
+        type: Date,
+        default: null,
+    },
+    purgeAt: {
+        type: Date,
     },
     // The "timestamps: true" option automatically adds two fields:
     // - createdAt: the date/time when the document was created
     // - updatedAt: the date/time when the document was last updated
-}, { timestamps: true })
+    // toJSON virtuals -> include the accessLevel virtual (below)
+    // toJSON transform -> secrets are dropped even if a document is sent
+    // as-is by mistake (routes should use serializers/user.js)
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.password
+            delete ret.twoFactor
+            delete ret.tokenVersion
+            delete ret.__v
+            return ret
+        },
+    },
+})
+
+
+/* ============= INDEXES ============= */
+
+// Sort orders offered by the admin user directory (GET /user). email
+// already has a unique index
+userSchema.index({ createdAt: -1 })
+userSchema.index({ lastName: 1, firstName: 1 })
+userSchema.index({ firstName: 1 })
+userSchema.index({ role: 1, createdAt: -1 })
+
+// Lets the purge job find accounts whose grace period is over
+userSchema.index({ purgeAt: 1 }, { sparse: true })
+
+
+/* ============= VIRTUALS ============= */
+
+// Legacy numeric access level (0 = regular user, 1 = admin), kept so older
+// frontend code that still reads accessLevel keeps working. Derived from role
+userSchema.virtual('accessLevel').get(function () {
+    return this.role === 'admin' ? 1 : 0
+})
+
+// Legacy "is this a new user" flag (for the first-time guide), kept for
+// older frontend code. Stored as preferences.onboarding.welcome
+userSchema.virtual('newUser')
+    .get(function () {
+        return !(this.preferences && this.preferences.onboarding && this.preferences.onboarding.welcome)
+    })
+    .set(function (value) {
+        this.set('preferences.onboarding.welcome', !value)
+    })
 
 
 /* ============= MIDDLEWARE ============== */
@@ -70,18 +230,16 @@ const userSchema = new mongoose.Schema({
   'pre' means this function will run before a document is saved into MongoDB
    Middleware here is used so that the password can be hashed every time a user
    is created or their password is changed */
-userSchema.pre('save', function (next) {
+userSchema.pre('save', async function () {
 
     // 'this' refers to the current User document being saved
     // Check if the password exists AND if it has been modified
     if (this.password && this.isModified('password')) {
 
         // Replace the plain text password with a hashed version
-        this.password = Utils.hashPassword(this.password)
+        // (hashing is async so it doesn't block other requests)
+        this.password = await Utils.hashPassword(this.password)
     }
-
-    // Call next() to tell Mongoose that this middleware is finished
-    next()
 })
 
 
@@ -0,0 +1,126 @@
+// models/UserToken.js
+
+/* ==============================
+   USER TOKEN MODEL
+   Short-lived, single-use tokens that are emailed to a user
+   (password reset, email verification and account restore links). Only a SHA-256 hash
+   of each token is stored, and a token is marked as used the first
+   time it is redeemed
+  ============================== */
+
+// Import mongoose to define a schema and model
+const mongoose = require('mongoose')
+
+// Used to generate random token values
+const crypto = require('crypto')
+
+// Used to hash tokens before storing / looking them up
+const Utils = require('../Utils')
+
+/* ==============================
+   SCHEMA
+  ============================== */
+
+const userTokenSchema = new mongoose.Schema({
+        // The user this token was issued for
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // What the token can be used for
+        purpose: {
+            type: String,
+            enum: ['password-reset', 'email-verification', 'account-restore'],
+            required: true,
+        },
+
+        // For email verification: the address this token confirms
+        // (the current email, or the pending new one)
+        email: {
+            type: String,
+        },
+
+        // SHA-256 hash of the token value (the raw value is only emailed)
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // When the token stops being accepted
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        // Set the first time the token is redeemed
+        usedAt: {
+            type: Date,
+        },
+    },
+    {
+        // Adds createdAt / updatedAt
+        timestamps: true,
+    })
+
+// Let MongoDB remove tokens automatically once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/* ==============================
+   STATICS
+  ============================== */
+
+/* Create a new token for a user. Any unused token with the same purpose
+   is invalidated so only the most recent email works.
+   extra can hold additional fields to store (e.g. { email }).
+   Returns the raw token value to put in the email */
+userTokenSchema.statics.issue = async function (userId, purpose, ttlMinutes, extra = {}) {
+    await this.invalidate(userId, purpose)
+
+    const token = crypto.randomBytes(32).toString('hex')
+
+    await this.create({
+        ...extra,
+        user: userId,
+        purpose,
+        tokenHash: Utils.hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    })
+
+    return token
+}
+
+/* Redeem a token: atomically marks it as used and returns the stored
+   document, or null when the token is unknown, expired or already used */
+userTokenSchema.statics.consume = function (token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: Utils.hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date() },
+        { new: true }
+    )
+}
+
+// Invalidate every unused token a user has for a purpose
+userTokenSchema.statics.invalidate = function (userId, purpose) {
+    return this.updateMany(
+        { user: userId, purpose, usedAt: null },
+        { usedAt: new Date() }
+    )
+}
+
+/* ==============================
+   MODEL
+  ============================== */
+
+const UserToken = mongoose.model('UserToken', userTokenSchema)
+
+// Export the model so other files (like routes) can use it
+module.exports = UserToken
@@ -0,0 +1,198 @@
+/* ==============================
+   PERSONAL ACCESS TOKEN ROUTES
+   Let a signed-in user create, list and revoke named tokens for
+   scripts and integrations. Mounted in server.js as:
+   app.use('/auth/tokens', authenticate, requireSessionToken, accessTokenRouter)
+
+   Tokens are sent like any other token: "Authorization: Bearer nxp_..."
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const express = require('express')
+
+// Create a new router (mini Express app just for /auth/tokens)
+const router = express.Router()
+
+const mongoose = require('mongoose')
+
+// Import PersonalAccessToken model to store / revoke tokens
+const PersonalAccessToken = require('../models/PersonalAccessToken')
+
+// Known scopes for validating requests
+const { SCOPES, areValidScopes } = require('../config/scopes')
+
+const { getAuthUserId } = require('../middleware/auth')
+
+// Most tokens a user can have active at once
+const MAX_TOKENS_PER_USER = 25
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+// What the API returns for a token (never the hash)
+function toTokenObject(accessToken) {
+    return {
+        id: accessToken.id,
+        name: accessToken.name,
+        hint: accessToken.hint,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        lastUsedAt: accessToken.lastUsedAt,
+        createdAt: accessToken.createdAt,
+    }
+}
+
+/* Work out the expiry from { expiresInDays } or { expiresAt }.
+   Returns { expiresAt } (undefined = never expires) or { error } */
+function parseExpiry({ expiresInDays, expiresAt }) {
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+        const days = Number(expiresInDays)
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'expiresInDays must be a positive number' }
+        }
+        return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) }
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const date = new Date(expiresAt)
+        if (isNaN(date.getTime()) || date <= new Date()) {
+            return { error: 'expiresAt must be a date in the future' }
+        }
+        return { expiresAt: date }
+    }
+
+    return { expiresAt: undefined }
+}
+
+/* ==============================
+   GET /auth/tokens/scopes
+   Every scope a token can be given (for the "new token" form)
+  ============================== */
+router.get('/scopes', (req, res) => {
+    res.status(200).json(Object.values(SCOPES))
+})
+
+/* ==============================
+   GET /auth/tokens
+   List the signed-in user's active tokens with their last-used time
+  ============================== */
+router.get('/', async (req, res) => {
+    try {
+        const tokens = await PersonalAccessToken.find({
+            user: getAuthUserId(req),
+            revokedAt: null,
+        }).sort({ createdAt: -1 })
+
+        res.status(200).json(tokens.map(toTokenObject))
+    } catch (err) {
+        console.error('Error listing personal access tokens:', err)
+        res.status(500).json({
+            message: 'Error listing personal access tokens',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/tokens
+   Create a token. The token value is in the response and is never
+   shown again.
+   Body: { name, scopes: ["applications:read", ...], expiresInDays? | expiresAt? }
+  ============================== */
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes } = req.body || {}
+
+        // === VALIDATE INPUT ===
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({
+                message: 'Token name is required',
+            })
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !areValidScopes(scopes)) {
+            return res.status(400).json({
+                message: 'At least one valid scope is required',
+                scopes: Object.values(SCOPES),
+            })
+        }
+
+        const expiry = parseExpiry(req.body)
+        if (expiry.error) {
+            return res.status(400).json({
+                message: expiry.error,
+            })
+        }
+
+        const userId = getAuthUserId(req)
+        const activeCount = await PersonalAccessToken.countDocuments({ user: userId, revokedAt: null })
+
+        if (activeCount >= MAX_TOKENS_PER_USER) {
+            return res.status(400).json({
+                message: `You can have at most ${MAX_TOKENS_PER_USER} tokens, revoke one first`,
+            })
+        }
+
+        // === CREATE TOKEN ===
+        const { token, doc } = await PersonalAccessToken.issue({
+            userId,
+            name: String(name).trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiry.expiresAt,
+        })
+
+        console.log('201 - Personal access token created')
+        res.status(201).json({
+            ...toTokenObject(doc),
+            token,
+        })
+    } catch (err) {
+        console.error('Error creating personal access token:', err)
+        res.status(500).json({
+            message: 'Error creating personal access token',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   DELETE /auth/tokens/:id
+   Revoke one of the signed-in user's tokens
+  ============================== */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                message: 'Token not found',
+            })
+        }
+
+        // Only the owner's own, still active tokens can be revoked
+        const accessToken = await PersonalAccessToken.findOneAndUpdate(
+            { _id: req.params.id, user: getAuthUserId(req), revokedAt: null },
+            { revokedAt: new Date() }
+        )
+
+        if (!accessToken) {
+            return res.status(404).json({
+                message: 'Token not found',
+            })
+        }
+
+        console.log('200 - Personal access token revoked')
+        res.status(200).json({
+            message: 'Token revoked',
+        })
+    } catch (err) {
+        console.error('Error revoking personal access token:', err)
+        res.status(500).json({
+            message: 'Error revoking personal access token',
+            error: err.message,
+        })
+    }
+})
+
+// Export this router so server.js can use it
+module.exports = router
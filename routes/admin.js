@@ -0,0 +1,384 @@
+/* ==============================
+   ADMIN ROUTES
+   Endpoints only admins can use. The whole router is protected by
+   authenticate in server.js, and each route declares the permission
+   it needs
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const express = require('express')
+
+// Create a new router (mini Express app just for /admin)
+const router = express.Router()
+
+const mongoose = require('mongoose')
+
+// Import Settings model (app-wide options admins can change)
+const Settings = require('../models/Settings')
+
+// Import User model to look up the account being changed
+const User = require('../models/User')
+
+// Ends a user's sessions
+const { endAllSessions } = require('../services/session')
+
+// Restores soft-deleted accounts
+const { restoreUser } = require('../services/accountDeletion')
+
+// Sign-in limiter (to clear lockouts)
+const { limiter, signinKeys } = require('../limiter')
+
+// Audit log (written by admin actions, read by GET /admin/audit)
+const AuditLog = require('../models/AuditLog')
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../services/audit')
+
+// Pagination for the audit log and CSV for its export
+const { parsePagination, buildPaginationMeta, setLinkHeader } = require('../services/pagination')
+const { toCsv } = require('../services/csv')
+
+// Permission checks
+const { requirePermission } = require('../middleware/auth')
+const { PERMISSIONS } = require('../config/roles')
+
+// Most rows GET /admin/audit?format=csv will export in one file
+const AUDIT_CSV_MAX_ROWS = 50000
+
+// Columns of the audit log CSV export
+const AUDIT_CSV_COLUMNS = [
+    'createdAt',
+    'action',
+    'actor',
+    'actorEmail',
+    'target',
+    'targetEmail',
+    'changes',
+    'metadata',
+    'ip',
+    'userAgent',
+]
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+// What the API returns for an audit log entry
+function toAuditEntry(entry) {
+    return {
+        id: entry.id,
+        action: entry.action,
+        actor: entry.actor,
+        actorEmail: entry.actorEmail || null,
+        target: entry.target,
+        targetEmail: entry.targetEmail || null,
+        changes: entry.changes,
+        metadata: entry.metadata || null,
+        ip: entry.ip || null,
+        userAgent: entry.userAgent || null,
+        createdAt: entry.createdAt,
+    }
+}
+
+// One CSV row for an audit log entry (changes as "field: from -> to")
+function toAuditCsvRow(entry) {
+    const row = toAuditEntry(entry)
+
+    return {
+        ...row,
+        actor: row.actor ? String(row.actor) : '',
+        target: row.target ? String(row.target) : '',
+        changes: row.changes.map((change) => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`),
+        metadata: row.metadata ? JSON.stringify(row.metadata) : '',
+    }
+}
+
+/* Build the Mongo filter for GET /admin/audit from the query string.
+   Returns { filter } or { error } */
+function parseAuditFilter({ action, actor, target, ip, from, to }) {
+    const filter = {}
+
+    if (action) {
+        const actions = String(action).split(',').map((value) => value.trim()).filter(Boolean)
+        const known = Object.values(AUDIT_ACTIONS)
+
+        if (actions.some((value) => !known.includes(value))) {
+            return { error: `action must be one or more of: ${known.join(', ')}` }
+        }
+        filter.action = { $in: actions }
+    }
+
+    for (const [field, value] of [['actor', actor], ['target', target]]) {
+        if (value === undefined) continue
+
+        if (!mongoose.isValidObjectId(value)) {
+            return { error: `${field} must be a user ID` }
+        }
+        filter[field] = value
+    }
+
+    if (ip) {
+        filter.ip = String(ip)
+    }
+
+    if (from || to) {
+        filter.createdAt = {}
+
+        for (const [param, operator] of [[from, '$gte'], [to, '$lte']]) {
+            if (!param) continue
+
+            const date = new Date(param)
+            if (isNaN(date.getTime())) {
+                return { error: 'from and to must be valid dates' }
+            }
+            filter.createdAt[operator] = date
+        }
+    }
+
+    return { filter }
+}
+
+/* ==============================
+   GET /admin/settings
+   Read the current app settings
+  ============================== */
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const settings = await Settings.current()
+
+        res.status(200).json({
+            settings: {
+                requireEmailVerification: settings.requireEmailVerification,
+            },
+        })
+    } catch (err) {
+        console.error('Error finding settings:', err)
+        res.status(500).json({
+            message: 'Error finding settings',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PUT /admin/settings
+   Update app settings
+   Body: { requireEmailVerification: true }
+  ============================== */
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        // Build updates object field-by-field so only known settings change
+        const updates = {}
+
+        if (req.body.requireEmailVerification !== undefined) {
+            if (typeof req.body.requireEmailVerification !== 'boolean') {
+                return res.status(400).json({
+                    message: 'requireEmailVerification must be true or false',
+                })
+            }
+            updates.requireEmailVerification = req.body.requireEmailVerification
+        }
+
+        const previous = await Settings.current()
+
+        const settings = await Settings.findOneAndUpdate({}, updates, {
+            new: true,
+            upsert: true,
+            setDefaultsOnInsert: true,
+        })
+
+        const changes = diffChanges(previous, settings, ['requireEmailVerification'])
+
+        if (changes.length > 0) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.SETTINGS_UPDATED, changes })
+        }
+
+        res.status(200).json({
+            message: 'Settings updated successfully',
+            settings: {
+                requireEmailVerification: settings.requireEmailVerification,
+            },
+        })
+    } catch (err) {
+        console.error('Error updating settings:', err)
+        res.status(500).json({
+            message: 'Error updating settings',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /admin/users/:id/unlock
+   Clear a sign-in lockout / backoff for a user's account
+  ============================== */
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.USERS_UPDATE_ANY), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        await limiter.reset(signinKeys(null, user.email).account)
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_UNLOCKED, target: user })
+
+        console.log('200 - Account unlocked', user.email)
+        res.status(200).json({
+            message: 'Account unlocked successfully',
+        })
+    } catch (err) {
+        console.error('Error unlocking account:', err)
+        res.status(500).json({
+            message: 'Error unlocking account',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /admin/users/:id/2fa/reset
+   Turn off two-factor authentication for a user who lost their
+   authenticator and recovery codes. They can sign in with just their
+   password and enrol again
+  ============================== */
+router.post('/users/:id/2fa/reset', requirePermission(PERMISSIONS.USERS_UPDATE_ANY), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        user.twoFactor = { enabled: false }
+
+        // End existing sessions in case the account was compromised
+        user.tokenVersion = (user.tokenVersion || 0) + 1
+        await user.save()
+        await endAllSessions(user._id)
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.TWO_FACTOR_RESET, target: user })
+
+        console.log('200 - Two-factor authentication reset for', user.email)
+        res.status(200).json({
+            message: 'Two-factor authentication reset successfully',
+        })
+    } catch (err) {
+        console.error('Error resetting two-factor authentication:', err)
+        res.status(500).json({
+            message: 'Error resetting two-factor authentication',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /admin/users/:id/restore
+   Restore a deleted account before it is purged
+  ============================== */
+router.post('/users/:id/restore', requirePermission(PERMISSIONS.USERS_DELETE_ANY), async (req, res) => {
+    try {
+        const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'No deleted account found with that ID',
+            })
+        }
+
+        await restoreUser(user)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_RESTORED,
+            target: user,
+            metadata: { via: 'admin' },
+        })
+
+        console.log('200 - Account restored', user.email)
+        res.status(200).json({
+            message: 'Account restored successfully',
+        })
+    } catch (err) {
+        console.error('Error restoring account:', err)
+        res.status(500).json({
+            message: 'Error restoring account',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   GET /admin/audit
+   Read the audit log, newest first (needs audit:read).
+   All query parameters are optional:
+   - page, limit        pagination (limit 1-100, default 50)
+   - action             one or more actions, comma separated (e.g. auth.signin_failed)
+   - actor, target      user IDs
+   - ip                 exact IP address
+   - from, to           date range (ISO dates, inclusive)
+   - format=csv         download every matching entry (up to 50,000) as CSV
+                        instead of a page of JSON
+   Returns { entries, pagination } plus a Link header
+   Example: GET /admin/audit?action=user.role_changed&from=2024-01-01
+  ============================== */
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+    try {
+        const { filter, error } = parseAuditFilter(req.query)
+
+        if (error) {
+            return res.status(400).json({
+                message: error,
+            })
+        }
+
+        // === CSV EXPORT ===
+        if (req.query.format === 'csv') {
+            const entries = await AuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(AUDIT_CSV_MAX_ROWS)
+
+            console.log('200 - Audit log exported,', entries.length, 'entries')
+            res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`)
+            res.type('text/csv')
+            return res.status(200).send(toCsv(entries.map(toAuditCsvRow), AUDIT_CSV_COLUMNS))
+        }
+
+        // === PAGINATION ===
+        const pagination = parsePagination(req.query, { defaultLimit: 50 })
+
+        if (pagination.error) {
+            return res.status(400).json({
+                message: pagination.error,
+            })
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            AuditLog.countDocuments(filter),
+        ])
+
+        const meta = buildPaginationMeta({ page: pagination.page, limit: pagination.limit, total })
+
+        setLinkHeader(req, res, meta)
+        res.status(200).json({
+            entries: entries.map(toAuditEntry),
+            pagination: meta,
+        })
+    } catch (err) {
+        console.error('Error reading audit log:', err)
+        res.status(500).json({
+            message: 'Error reading audit log',
+            error: err.message,
+        })
+    }
+})
+
+// Export this router so server.js can use it
+module.exports = router
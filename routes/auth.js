@@ -17,13 +17,54 @@ const Utils = require('../Utils')
 // Import User model (blueprint for user data) to interact with MongoDB
 const User = require('../models/User')
 
-// Import the jsonwebtoken library
-// This library is used to create (sign) and check (verify) JWT tokens for authentication
-const jsonWebToken = require('jsonwebtoken')
+// Import RefreshToken model (server-side store of long-lived refresh tokens)
+const RefreshToken = require('../models/RefreshToken')
+
+// Import UserToken model (single-use tokens sent by email, e.g. password reset)
+const UserToken = require('../models/UserToken')
+
+// Import Settings model (admin-configurable options like requireEmailVerification)
+const Settings = require('../models/Settings')
+
+// Sends email verification links
+const { sendVerificationEmail } = require('../services/emailVerification')
+
+// Restores soft-deleted accounts (POST /auth/restore-account)
+const { restoreUser } = require('../services/accountDeletion')
+
+// Audit log of sign-ins and password changes
+const { AUDIT_ACTIONS, recordAudit } = require('../services/audit')
+
+// Builds the token payload and issues access + refresh tokens
+const { toUserObject, issueSession, findSession, endSession, endAllSessions } = require('../services/session')
+
+// Import Session model (one document per signed-in device)
+const Session = require('../models/Session')
+
+// Brute-force protection (backoff + temporary lockout) for sign in
+const { limiter, RULES, signinKeys, sendTooManyRequests } = require('../limiter')
+
+// Used to send emails (password reset links) and build their content
+const Mailer = require('../mailer')
+const emailTemplates = require('../mailer/templates')
+
+// Shared JWT authentication middleware (verifies "Authorization: Bearer <token>")
+const { authenticate, requireSessionToken, getAuthUserId } = require('../middleware/auth')
 
 // Load environment variables from the .env file into process.env
 require('dotenv').config()
 
+// How long a password reset link stays valid (in minutes)
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+
+// Checked when the email is unknown, so a missing account takes as long
+// to reject as a wrong password (response time can't reveal accounts).
+// A promise, resolved once at startup
+const DUMMY_PASSWORD_HASH = Utils.hashPassword('nextep-dummy-password')
+
+// The one message for every failed sign in, whatever the reason
+const INVALID_CREDENTIALS_MESSAGE = 'Email or password is incorrect'
+
 /* =======================================
    POST /auth/signin
    Lets a user login with email + password
@@ -40,55 +81,115 @@ router.post('/signin', async (req, res) => {
             })
         }
 
+        // === RATE LIMIT ===
+        // Too many recent failures from this IP or for this email -> wait
+        const keys = signinKeys(req.ip, email)
+        const limit = await limiter.check([keys.ip, keys.account])
+
+        if (!limit.allowed) {
+            console.log('429 - Too many sign-in attempts')
+
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.SIGNIN_FAILED,
+                actor: null,
+                metadata: { email: String(email), reason: 'rate-limited' },
+            })
+
+            return sendTooManyRequests(res, limit.retryAfterSeconds)
+        }
+
         // === FIND USER IN DATABASE ===
         // Try to find a user document by their email
         const user = await User.findOne({email})
 
-        // If no user is found, stop and log error
-        if (!user) {
-            console.log('400 - This account does not exist')
+        // === VERIFY PASSWORD ===
+        // Utils.verifyPassword() will hash the input and compare with hashed password in MongoDB.
+        // Unknown emails are checked against a dummy hash so both cases take the same time
+        const validPassword = await Utils.verifyPassword(password, user ? user.password : await DUMMY_PASSWORD_HASH)
+
+        // If no user is found or the password check fails, reject login with
+        // the same message either way so accounts can't be discovered
+        if (!user || !validPassword) {
+            console.log('400 - Email or password is incorrect')
+
+            await limiter.record(keys.ip, RULES.signinIp)
+            await limiter.record(keys.account, RULES.signinAccount)
+
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.SIGNIN_FAILED,
+                actor: null,
+                target: user,
+                metadata: { email: String(email), reason: user ? 'invalid-password' : 'unknown-email' },
+            })
+
             return res.status(400).json({
-                message: 'This account does not exist',
+                message: INVALID_CREDENTIALS_MESSAGE,
             })
         }
 
-        // === VERIFY PASSWORD ===
-        // Utils.verifyPassword() will hash the input and compare with hashed password in MongoDB
-        const validPassword = Utils.verifyPassword(password, user.password)
+        // Correct password -> forget earlier failures for this account
+        await limiter.reset(keys.account)
+
+        // === CHECK ACCOUNT IS NOT DELETED ===
+        // Deleted accounts can only come back through the restore link
+        if (user.deletedAt) {
+            console.log('403 - Account has been deleted')
+            return res.status(403).json({
+                message: 'This account has been deleted. Use the link in the deletion email to restore it',
+                accountDeleted: true,
+                purgeAt: user.purgeAt,
+            })
+        }
 
-        // If password check fails, reject login
-        if (!validPassword) {
-            console.log('400 - Email or password is incorrect')
-            return res.status(400).json({
-                message: 'Email or password is incorrect',
+        // === UPGRADE OLD PASSWORD HASH ===
+        // Hashes made with an older algorithm or weaker parameters are replaced
+        // now, while the plain password is known (pre-save middleware re-hashes it)
+        if (Utils.needsRehash(user.password)) {
+            user.password = password
+            await user.save()
+            console.log('Password hash upgraded for', user.email)
+        }
+
+        // === CHECK EMAIL VERIFICATION ===
+        // Admins can require a confirmed email before signing in (/admin/settings)
+        const settings = await Settings.current()
+
+        if (settings.requireEmailVerification && !user.emailVerified) {
+            console.log('403 - Email address not verified')
+            return res.status(403).json({
+                message: 'Please verify your email address before signing in',
+                emailVerified: false,
             })
         }
 
-        // === CREATE A USER OBJECT ===
-        // This is the data stored inside the JWT token (and sent back to frontend)
-        const userObject = {
-            id: user.id,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            email: user.email,
-            bio: user.bio || '',
-            accessLevel: user.accessLevel,
-            newUser: user.newUser,
-            avatar: user.avatar,
+        // === TWO-FACTOR AUTHENTICATION ===
+        // With 2FA on, the password alone is not enough: return a short-lived
+        // challenge token to exchange for real tokens at /auth/2fa/verify
+        if (user.twoFactor && user.twoFactor.enabled) {
+            console.log('200 - Password ok, waiting for 2FA code')
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: Utils.generateChallengeToken(user),
+            })
         }
 
-        // === GENERATE JWT TOKEN ===
-        // This uses Utils.generateAccessToken() which signs a token with the SECRET_KEY
-        const token = Utils.generateAccessToken(userObject)
+        // === GENERATE TOKENS ===
+        // Access token (signed with the SECRET_KEY) + refresh token, and the
+        // user object stored inside the JWT
+        const session = await issueSession(user, req)
 
         // === SUCCESS RESPONSE ===
-        // Send both the token and the user info back to frontend
-        console.log('200 - Successfully logged in')
-        res.status(200).json({
-            token: token,
-            user: userObject,
+        // Send the tokens and the user info back to frontend
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.SIGNIN,
+            actor: user,
+            target: user,
+            metadata: { method: 'password' },
         })
 
+        console.log('200 - Successfully logged in')
+        res.status(200).json(session)
+
         // === CATCH ERRORS ===
     } catch (err) {
         console.error(err)
@@ -101,81 +202,40 @@ router.post('/signin', async (req, res) => {
 
 /* ==============================================
    GET /auth/check-email/:email
-   Check if a user with this email already exists
+   Kept for older clients. It used to answer 409 for a registered email,
+   which let anyone test lists of addresses, so it now only checks the
+   format and gives the same answer whether or not the address is in
+   use (sign up reports a clash). Rate limited per IP
   =============================================== */
-router.get('/check-email/:email', async (req, res) => {
+router.get('/check-email/:email', limiter.rateLimit('lookupIp'), async (req, res) => {
     try {
-        // === GET EMAIL FROM URL ===
-        const email = req.params.email;
+        const email = String(req.params.email || '').trim().toLowerCase()
 
-        // If no email provided
-        if (!email) {
+        // Same format check as sign up (the schema's email type)
+        if (!email || new User({ email }).validateSync(['email'])) {
             return res.status(400).json({
-                message: 'Email parameter is required in the URL'
-            });
-        }
-
-        // === SEARCH EMAIL ===
-        // Search for an existing user with that email in MongoDB
-        const existing = await User.findOne({ email });
-
-        // If a user already exists → return 409 Conflict
-        if (existing) {
-            console.log('Email already in use')
-            return res.status(409).json({
-                message: 'Email is already in use'
-            });
+                message: 'Email must be a valid email address',
+            })
         }
 
-        // === SUCCESS RESPONSE ===
-        // If no match found → return 200 OK
-        res.status(200).json();
-
-        // === CATCH ERRORS ===
+        res.status(200).json({
+            message: 'Email address is valid',
+        })
     } catch (err) {
-        console.error('Error checking email:', err);
+        console.error('Error checking email:', err)
         res.status(500).json({
             message: 'Error checking email',
-            error: err.message
-        });
+            error: err.message,
+        })
     }
-});
+})
 
 /* ==============================
    POST /auth/change-password
    Change password for the currently authenticated user
   ============================== */
-router.post('/change-password', async (req, res) => {
+router.post('/change-password', authenticate, requireSessionToken, async (req, res) => {
     try {
-
-        // Read Authorization header (header names are always lowercased in Node)
-        const authHeader = req.headers['authorization']
-
-        // No Authorization header present → 401
-        if (!authHeader) {
-            return res.status(401).json({
-                message: 'Authorization header missing',
-            })
-        }
-
-
-        // Reject request when header is missing
-        if (!authHeader) {
-            return res.status(401).json({
-                message: 'Authorization header missing',
-            })
-        }
-
-        // Split header on space and take token part
-        const token = authHeader.split(' ')[1]
-
-        // Reject request when token is missing
-        if (!token) {
-            return res.status(401).json({
-                message: 'Token missing',
-            })
-        }
-
         // Extract old and new password from request body
         const { oldPassword, newPassword } = req.body
 
@@ -186,19 +246,8 @@ router.post('/change-password', async (req, res) => {
             })
         }
 
-        // Verify token and decode payload to access user id
-        const decoded = await new Promise((resolve, reject) => {
-            jsonWebToken.verify(token, process.env.SECRET_KEY, (err, decodedData) => {
-                if (err) {
-                    return reject(err)
-                }
-                resolve(decodedData)
-            })
-        })
-
-        // Extract user id from decoded token payload
-        const payloadUser = decoded.user || decoded
-        const userId = payloadUser.id || payloadUser._id
+        // Extract user id from the token payload verified by authenticate
+        const userId = getAuthUserId(req)
 
         // Reject request when token payload does not contain id
         if (!userId) {
@@ -218,7 +267,7 @@ router.post('/change-password', async (req, res) => {
         }
 
         // Verify existing password using helper from Utils
-        const validPassword = Utils.verifyPassword(oldPassword, user.password)
+        const validPassword = await Utils.verifyPassword(oldPassword, user.password)
 
         // Reject when old password does not match stored hash
         if (!validPassword) {
@@ -227,16 +276,41 @@ router.post('/change-password', async (req, res) => {
             })
         }
 
+        // Make sure the new password follows the password policy
+        const passwordError = Utils.validatePassword(newPassword)
+        if (passwordError) {
+            return res.status(400).json({
+                message: passwordError,
+            })
+        }
+
         // Assign new password as plain text
         // Pre-save middleware on User model hashes this value before storing
         user.password = newPassword
 
+        // Bump tokenVersion so every access token issued before is rejected
+        user.tokenVersion = (user.tokenVersion || 0) + 1
+
         // Save updated user document (triggers pre-save hook for hashing)
         await user.save()
 
+        // End every existing session and revoke all refresh tokens
+        await endAllSessions(user._id)
+
+        // Issue fresh tokens so the current client stays signed in
+        const { token, refreshToken } = await issueSession(user, req)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+            target: user,
+            changes: [{ field: 'password' }],
+        })
+
         // Respond with success status
         return res.status(200).json({
             message: 'Password changed successfully',
+            token: token,
+            refreshToken: refreshToken,
         })
 
     } catch (err) {
@@ -251,54 +325,543 @@ router.post('/change-password', async (req, res) => {
 })
 
 /* ==============================
-   GET /auth/validate
-   Check if JWT token is still valid (not expired/tampered)
+   POST /auth/forgot-password
+   Email a password reset link to the user.
+   Always responds the same way so it cannot be used to find out
+   whether an account exists for an email
+  ============================== */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body
+
+        // === VALIDATE INPUT ===
+        if (!email) {
+            return res.status(400).json({
+                message: 'Email is required',
+            })
+        }
+
+        // === FIND USER AND SEND EMAIL ===
+        const user = await User.findOne({ email, deletedAt: null })
+
+        if (user) {
+            const token = await UserToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MINUTES)
+
+            // Don't wait for the email, so response time doesn't reveal anything either
+            Mailer.sendInBackground({
+                to: user.email,
+                ...emailTemplates.passwordReset(user, token, PASSWORD_RESET_TTL_MINUTES),
+            })
+        } else {
+            console.log('Password reset requested for unknown email')
+        }
+
+        // === SUCCESS RESPONSE ===
+        res.status(200).json({
+            message: 'If an account exists for that email, a reset link has been sent',
+        })
+    } catch (err) {
+        console.error('Error requesting password reset:', err)
+        res.status(500).json({
+            message: 'Error requesting password reset',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/reset-password
+   Set a new password using the token from the reset email.
+   The token can only be used once, and every existing session is ended
+  ============================== */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body
+
+        // === VALIDATE INPUT ===
+        if (!token || !password) {
+            return res.status(400).json({
+                message: 'Token and new password are required',
+            })
+        }
+
+        // Check the policy before using up the token, so the user can retry
+        const passwordError = Utils.validatePassword(password)
+        if (passwordError) {
+            return res.status(400).json({
+                message: passwordError,
+            })
+        }
+
+        // === REDEEM TOKEN ===
+        // Marks the token as used, so it cannot be replayed
+        const resetToken = await UserToken.consume(token, 'password-reset')
+
+        if (!resetToken) {
+            console.log('400 - Invalid or expired reset token')
+            return res.status(400).json({
+                message: 'This reset link is invalid or has expired',
+            })
+        }
+
+        const user = await User.findById(resetToken.user)
+
+        if (!user) {
+            return res.status(400).json({
+                message: 'This reset link is invalid or has expired',
+            })
+        }
+
+        // === UPDATE PASSWORD ===
+        // Pre-save middleware on User model hashes this value before storing
+        user.password = password
+
+        // Bump tokenVersion so every access token issued before is rejected
+        user.tokenVersion = (user.tokenVersion || 0) + 1
+
+        await user.save()
+
+        // End every existing session and any other outstanding reset links
+        await endAllSessions(user._id)
+        await UserToken.invalidate(user._id, 'password-reset')
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.PASSWORD_RESET,
+            actor: user,
+            target: user,
+            changes: [{ field: 'password' }],
+        })
+
+        console.log('200 - Password reset')
+        res.status(200).json({
+            message: 'Password reset successfully',
+        })
+    } catch (err) {
+        console.error('Error resetting password:', err)
+        res.status(500).json({
+            message: 'Error resetting password',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/verify-email
+   Confirm an email address using the token from the verification email.
+   For a pending email change this is when the account email actually
+   changes
   ============================== */
-router.get('/validate', async (req, res) => {
+router.post('/verify-email', async (req, res) => {
     try {
-        // === EXTRACT TOKEN FROM HEADER ===
-        // The frontend sends: Authorization: Bearer <token>
-        const authHeader = req.headers['authorization']
+        const { token } = req.body
 
-        // If the header is missing, deny the request
-        if (!authHeader) {
-            return res.status(401).json({ message: 'Authorization header missing' })
+        // === VALIDATE INPUT ===
+        if (!token) {
+            return res.status(400).json({
+                message: 'Token is required',
+            })
+        }
+
+        // === REDEEM TOKEN ===
+        const verification = await UserToken.consume(token, 'email-verification')
+
+        if (!verification) {
+            console.log('400 - Invalid or expired verification token')
+            return res.status(400).json({
+                message: 'This verification link is invalid or has expired',
+            })
+        }
+
+        const user = await User.findById(verification.user)
+
+        if (!user) {
+            return res.status(400).json({
+                message: 'This verification link is invalid or has expired',
+            })
+        }
+
+        if (verification.email === user.email) {
+            // === CONFIRM CURRENT EMAIL (after sign up) ===
+            user.emailVerified = true
+        } else if (verification.email === user.pendingEmail) {
+            // === CONFIRM EMAIL CHANGE ===
+            // Make sure nobody else took the address in the meantime
+            const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })
+
+            if (taken) {
+                return res.status(409).json({
+                    message: 'Email is already in use',
+                })
+            }
+
+            user.email = user.pendingEmail
+            user.pendingEmail = undefined
+            user.emailVerified = true
+        } else {
+            // The address changed again after this link was sent
+            return res.status(400).json({
+                message: 'This verification link is invalid or has expired',
+            })
         }
 
-        // Split into ["Bearer", "<token>"] and take the token part
-        const token = authHeader.split(' ')[1]
+        await user.save()
+
+        console.log('200 - Email verified')
+        res.status(200).json({
+            message: 'Email verified successfully',
+            email: user.email,
+        })
+    } catch (err) {
+        console.error('Error verifying email:', err)
+        res.status(500).json({
+            message: 'Error verifying email',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/restore-account
+   Undo an account deletion using the token from the deletion email.
+   The user then signs in again as normal
+  ============================== */
+router.post('/restore-account', async (req, res) => {
+    try {
+        const { token } = req.body
 
-        // If no token found after "Bearer", deny
+        // === VALIDATE INPUT ===
         if (!token) {
-            return res.status(401).json({ message: 'Token missing' })
+            return res.status(400).json({
+                message: 'Token is required',
+            })
         }
 
-        // === VERIFY TOKEN ===
-        // This checks if the token was signed with SECRET_KEY and is still valid
-        const decoded = await new Promise((resolve, reject) => {
-            jsonWebToken.verify(token, process.env.SECRET_KEY, (err, decodedData) => {
-                if (err) {
-                    reject(err)
-                }
-                else resolve(decodedData)
+        // === REDEEM TOKEN ===
+        const restore = await UserToken.consume(token, 'account-restore')
+        const user = restore ? await User.findById(restore.user) : null
+
+        if (!user || !user.deletedAt) {
+            console.log('400 - Invalid or expired restore token')
+            return res.status(400).json({
+                message: 'This restore link is invalid or has expired',
             })
+        }
+
+        await restoreUser(user)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_RESTORED,
+            actor: user,
+            target: user,
+            metadata: { via: 'restore-link' },
+        })
+
+        console.log('200 - Account restored')
+        res.status(200).json({
+            message: 'Account restored successfully, you can now sign in',
         })
+    } catch (err) {
+        console.error('Error restoring account:', err)
+        res.status(500).json({
+            message: 'Error restoring account',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/resend-verification
+   Send a new verification link to an unconfirmed email address (or a
+   pending new email address). Always responds the same way so it cannot
+   be used to find out whether an account exists
+  ============================== */
+router.post('/resend-verification', async (req, res) => {
+    try {
+        const { email } = req.body
+
+        // === VALIDATE INPUT ===
+        if (!email) {
+            return res.status(400).json({
+                message: 'Email is required',
+            })
+        }
+
+        // === FIND USER AND SEND EMAIL ===
+        const user = await User.findOne({
+            $or: [
+                { email, emailVerified: { $ne: true } },
+                { pendingEmail: email },
+            ],
+            deletedAt: null,
+        })
+
+        if (user) {
+            const target = user.pendingEmail === String(email).toLowerCase() ? user.pendingEmail : user.email
+            await sendVerificationEmail(user, target)
+        }
 
         // === SUCCESS RESPONSE ===
-        console.log('Token is valid, sending decoded data...')
-        res.status(200).json(decoded)
+        res.status(200).json({
+            message: 'If that email needs verifying, a new link has been sent',
+        })
+    } catch (err) {
+        console.error('Error resending verification email:', err)
+        res.status(500).json({
+            message: 'Error resending verification email',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/refresh
+   Exchange a refresh token for a new access token + refresh token.
+   The refresh token that was used is revoked (rotation). Presenting an
+   already-used token revokes its whole family (reuse detection)
+  ============================== */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body
+
+        // === VALIDATE INPUT ===
+        if (!refreshToken) {
+            return res.status(400).json({
+                message: 'Refresh token is required',
+            })
+        }
+
+        // === FIND STORED TOKEN ===
+        const stored = await RefreshToken.findByToken(refreshToken)
+
+        if (!stored) {
+            console.log('401 - Unknown refresh token')
+            return res.status(401).json({
+                message: 'Invalid refresh token',
+            })
+        }
+
+        if (stored.expiresAt <= new Date()) {
+            console.log('401 - Refresh token expired')
+            return res.status(401).json({
+                message: 'Refresh token has expired',
+            })
+        }
+
+        // A session ended by logout / DELETE /auth/sessions/:id can't be refreshed
+        // (this is not token reuse, so there is nothing else to revoke)
+        const session = await findSession(stored.family)
+
+        if (session && session.revokedAt) {
+            console.log('401 - Session has been revoked')
+            return res.status(401).json({
+                message: 'This session has ended, please sign in again',
+            })
+        }
+
+        // === ROTATE ===
+        // Atomically mark the token as used. If another request already used
+        // it, this returns null -> the token has been reused
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { revokedAt: new Date() }
+        )
+
+        if (!claimed) {
+            // === REUSE DETECTED ===
+            // Someone is replaying an old token, so end the whole session
+            console.log('401 - Refresh token reuse detected, revoking family', stored.family)
+            await endSession(stored.family)
+            return res.status(401).json({
+                message: 'Refresh token has already been used',
+            })
+        }
+
+        // === LOAD USER ===
+        const user = await User.findById(stored.user)
+
+        if (!user) {
+            await endSession(stored.family)
+            return res.status(401).json({
+                message: 'Invalid refresh token',
+            })
+        }
+
+        // === ISSUE NEW TOKENS ===
+        // Same session, so the new access token keeps the same sid
+        const userObject = toUserObject(user)
+        const token = Utils.generateAccessToken(userObject, user.tokenVersion, session ? session.id : undefined)
+        const { token: newRefreshToken, doc } = await RefreshToken.issue(user._id, stored.family)
+
+        // Remember which token replaced the one that was used
+        await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: doc.tokenHash })
+
+        // Keep the session alive as long as its newest refresh token
+        if (session) {
+            session.lastSeenAt = new Date()
+            session.ip = req.ip || session.ip
+            session.expiresAt = doc.expiresAt
+            await session.save()
+        }
+
+        // === SUCCESS RESPONSE ===
+        console.log('200 - Tokens refreshed')
+        res.status(200).json({
+            token: token,
+            refreshToken: newRefreshToken,
+            user: userObject,
+        })
 
         // === CATCH ERRORS ===
     } catch (err) {
-        console.error('Error validating token:', err)
+        console.error('Error refreshing token:', err)
+        res.status(500).json({
+            message: 'Error refreshing token',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/logout
+   End the current session by revoking its refresh token family.
+   Does not need an access token, so an expired session can still log out
+  ============================== */
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                message: 'Refresh token is required',
+            })
+        }
+
+        // End the session and revoke the whole family so no rotated copy
+        // keeps working
+        const stored = await RefreshToken.findByToken(refreshToken)
+        if (stored) {
+            await endSession(stored.family)
+        }
+
+        // Always succeed so the frontend can clear its state
+        res.status(200).json({
+            message: 'Logged out successfully',
+        })
+    } catch (err) {
+        console.error('Error logging out:', err)
+        res.status(500).json({
+            message: 'Error logging out',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/logout-all
+   Log the current user out everywhere: revokes every refresh token and
+   every access token issued so far
+  ============================== */
+router.post('/logout-all', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const userId = getAuthUserId(req)
+
+        // Bumping tokenVersion makes authenticate reject all older access tokens
+        const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } })
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        await endAllSessions(userId)
+
+        res.status(200).json({
+            message: 'Logged out of all sessions',
+        })
+    } catch (err) {
+        console.error('Error logging out of all sessions:', err)
+        res.status(500).json({
+            message: 'Error logging out of all sessions',
+            error: err.message,
+        })
+    }
+})
 
-        // If verification failed (token expired, invalid, etc.), respond 403 (Forbidden)
-        res.status(403).json({
-            message: 'Invalid or expired token',
+/* ==============================
+   GET /auth/sessions
+   List the signed-in user's active sessions (devices), newest first.
+   The session making the request is marked with current: true
+  ============================== */
+router.get('/sessions', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: getAuthUserId(req),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastSeenAt: -1 })
+
+        res.status(200).json({
+            sessions: sessions.map((session) => ({
+                id: session.id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: session.id === req.auth.sid,
+            })),
+        })
+    } catch (err) {
+        console.error('Error finding sessions:', err)
+        res.status(500).json({
+            message: 'Error finding sessions',
             error: err.message,
         })
     }
 })
 
+/* ==============================
+   DELETE /auth/sessions/:id
+   Sign out one of the user's devices. Its access token stops working
+   straight away and its refresh token can no longer be used
+  ============================== */
+router.delete('/sessions/:id', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const session = await findSession(req.params.id)
+
+        // Other users' sessions look exactly like missing ones
+        if (!session || String(session.user) !== getAuthUserId(req) || session.revokedAt) {
+            return res.status(404).json({
+                message: 'Session not found',
+            })
+        }
+
+        await endSession(session.id)
+
+        res.status(200).json({
+            message: 'Session revoked successfully',
+        })
+    } catch (err) {
+        console.error('Error revoking session:', err)
+        res.status(500).json({
+            message: 'Error revoking session',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   GET /auth/validate
+   Check if JWT token is still valid (not expired/tampered)
+  ============================== */
+router.get('/validate', authenticate, (req, res) => {
+    // === SUCCESS RESPONSE ===
+    // authenticate has already verified the token (signed with SECRET_KEY and
+    // not expired) and stored the decoded payload on req.auth. Invalid tokens
+    // never reach this point - they get a 401 from handleAuthError
+    console.log('Token is valid, sending decoded data...')
+    res.status(200).json(req.auth)
+})
+
 // Export this router so server.js can use it
 module.exports = router
\ No newline at end of file
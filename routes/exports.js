@@ -0,0 +1,67 @@
+/* ==============================
+   DATA EXPORT DOWNLOAD ROUTE
+   Download links for background data exports, e.g.
+   GET /exports/<token>
+   The link itself is the credential (a short-lived signed token from
+   GET /user/:id/export/:exportId), so it works from a plain browser
+   download without an Authorization header. Mounted in server.js as:
+   app.use('/exports', exportRouter)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const express = require('express')
+
+// Create a new router (mini Express app just for /exports)
+const router = express.Router()
+
+const mongoose = require('mongoose')
+
+// Used to check the download token
+const Utils = require('../Utils')
+
+const DataExport = require('../models/DataExport')
+const { exportPath, downloadFileName } = require('../services/dataExport')
+
+/* ==============================
+   GET /exports/:token
+   Send the finished ZIP
+  ============================== */
+router.get('/:token', async (req, res) => {
+    try {
+        const payload = Utils.verifyDownloadToken(req.params.token)
+
+        const dataExport = payload && mongoose.isValidObjectId(payload.exportId)
+            ? await DataExport.findOne({
+                _id: payload.exportId,
+                status: 'ready',
+                expiresAt: { $gt: new Date() },
+            })
+            : null
+
+        if (!dataExport) {
+            console.log('404 - Invalid or expired export download link')
+            return res.status(404).json({
+                message: 'This download link is invalid or has expired',
+            })
+        }
+
+        res.download(exportPath(dataExport), downloadFileName(dataExport.completedAt), (err) => {
+            if (err && !res.headersSent) {
+                console.error('Error sending data export:', err)
+                res.status(404).json({
+                    message: 'This download link is invalid or has expired',
+                })
+            }
+        })
+    } catch (err) {
+        console.error('Error downloading data export:', err)
+        res.status(500).json({
+            message: 'Error downloading data export',
+            error: err.message,
+        })
+    }
+})
+
+// Export this router so server.js can use it
+module.exports = router
@@ -7,11 +7,52 @@
 const express = require('express')
 const router = express.Router()
 
+const mongoose = require('mongoose')
+
 // Import JobApplication model
-const JobApplication = require('../models/jobApplication')
+const JobApplication = require('../models/JobApplication')
+
+// Status history (created / status changes / deleted) for the timeline
+const ApplicationEvent = require('../models/ApplicationEvent')
+const timeline = require('../services/applicationTimeline')
+
+// Each user's board stages (what status can be)
+const { checkStatus } = require('../services/pipelineStages')
+
+// Full-text search, and the document text it searches
+const { searchApplications } = require('../services/search')
+
+// One action applied to many applications (POST /:userId/bulk)
+const bulk = require('../services/bulkApplications')
+
+// GET /:userId/analytics
+const { buildAnalytics } = require('../services/applicationAnalytics')
+
+// Deleting moves an application to the trash, where it can be restored for a while
+const trash = require('../services/applicationTrash')
+
+// Field validation shared by POST and PATCH, and ETag / If-Match handling
+const { validateApplication } = require('../services/applicationInput')
+const { setETag, hasIfMatch, isStale, versionFilter, bumpVersion, sendPreconditionFailed } = require('../services/etag')
+const { documentsTextFor, indexDocumentsInBackground } = require('../services/documentText')
 
-// Node path module is used to construct absolute file system paths safely
-const path = require('path')
+// Uploaded documents: private storage, generated names and owners
+const Document = require('../models/Document')
+const { DOCUMENTS_DIR, documentPath, storedFileName, checkDocuments } = require('../services/documents')
+
+// Ownership / permission checks (the JWT itself is verified in server.js)
+const { requireSelfOr, canAccessUser, getAuthUserId, hasPermission, requireScope } = require('../middleware/auth')
+
+// Permissions for acting on other users' applications
+const { PERMISSIONS } = require('../config/roles')
+const { SCOPES } = require('../config/scopes')
+
+// Every job application in a response goes through the serializer
+const { serializeJobApplication, serializeApplicationEvent } = require('../serializers/jobApplication')
+const { parseFields } = require('../serializers/fields')
+
+// Sorting, cursor pagination and search escaping shared with the other list endpoints
+const { parseSort, encodeCursor, decodeCursor, cursorFilter, escapeRegExp } = require('../services/pagination')
 
 // File system module is used to ensure upload directory exists
 const fs = require('fs')
@@ -25,31 +66,31 @@ require('dotenv').config()
 /* ==============================
    DOCUMENT UPLOAD CONFIGURATION
    Files are stored on disk under:
-   <project-root>/public/documents
+   <project-root>/storage/documents (see services/documents.js)
+   which is outside public/, so they can only be downloaded through
+   GET /documents/:fileName
 
    Frontend sends files under the field name "documents"
    using multipart/form-data
    ============================== */
 
-// Build absolute path to public/documents folder from this routes directory
-const documentsDir = path.join(__dirname, '..', 'public', 'documents')
-
-// Ensure that public/documents exists before handling any uploads
+// Ensure that the documents folder exists before handling any uploads
 // recursive: true allows creation of nested directories if necessary
-if (!fs.existsSync(documentsDir)) {
-    fs.mkdirSync(documentsDir, { recursive: true })
+if (!fs.existsSync(DOCUMENTS_DIR)) {
+    fs.mkdirSync(DOCUMENTS_DIR, { recursive: true })
 }
 
 // Multer disk storage configuration
 const storage = multer.diskStorage({
     // Destination determines where files are stored on disk
     destination: (req, file, cb) => {
-        cb(null, documentsDir)
+        cb(null, DOCUMENTS_DIR)
     },
-    // Filename determines the name of the stored file
+    // Filename determines the name of the stored file: a unique name
+    // ending with the original one (e.g. "9f86d0...-cv.pdf"), so two
+    // users uploading "cv.pdf" don't overwrite each other's file
     filename: (req, file, cb) => {
-        // file.originalname preserves the original name (e.g. "cv.pdf")
-        cb(null, file.originalname)
+        cb(null, storedFileName(file.originalname))
     },
 })
 
@@ -67,20 +108,56 @@ const upload = multer({ storage })
    - Content-Type: multipart/form-data
    - Field name: "documents"
    - Value: one or more File objects
+
+   The response lists the names the files were stored under; those
+   are what goes in an application's "documents". Only the uploader
+   can attach or download them
    ============================== */
 
-router.post('/documents/upload', upload.array('documents', 10), (req, res) => {
+router.post('/documents/upload', requireScope(SCOPES.DOCUMENTS_WRITE), upload.array('documents', 10), async (req, res) => {
     // req.files is an array of file info objects created by multer
     const files = req.files || []
 
-    // Map stored file metadata to an array of filenames
-    // This array is saved in the MongoDB "documents" field on the JobApplication
-    const fileNames = files.map(file => file.filename)
+    try {
+        // Record who uploaded each file
+        const documents = await Document.insertMany(files.map((file) => ({
+            user: getAuthUserId(req),
+            fileName: file.filename,
+            originalName: file.originalname,
+            size: file.size,
+            mimeType: file.mimetype,
+        })))
+
+        // Map stored file metadata to an array of filenames
+        // This array is saved in the MongoDB "documents" field on the JobApplication
+        const fileNames = documents.map((document) => document.fileName)
+
+        // Read the text of the new files for search (after responding)
+        indexDocumentsInBackground(fileNames)
+
+        return res.status(200).json({
+            message: 'Documents uploaded successfully',
+            fileNames,
+            documents: documents.map((document) => ({
+                fileName: document.fileName,
+                originalName: document.originalName,
+                size: document.size,
+            })),
+        })
+
+    } catch (err) {
+        console.error('Error saving uploaded documents:', err)
 
-    return res.status(200).json({
-        message: 'Documents uploaded successfully',
-        fileNames,
-    })
+        // Don't keep files nobody owns
+        for (const file of files) {
+            fs.promises.unlink(file.path).catch(() => {})
+        }
+
+        return res.status(500).json({
+            message: 'Error uploading documents',
+            error: err.message,
+        })
+    }
 })
 
 /* ==============================
@@ -91,17 +168,17 @@ router.post('/documents/upload', upload.array('documents', 10), (req, res) => {
    GET {App.apiBase}/job-application/documents/:fileName
 
    Example:
-   GET /job-application/documents/infrabuild-job-description.pdf
+   GET /job-application/documents/9f86d081884c7d659a2feaa0-job-description.pdf
 
    Files are expected under:
-   <project-root>/public/documents/<fileName>
+   <project-root>/storage/documents/<fileName>
 
    Important route ordering note:
    This route is defined before GET '/:userId' so that "documents"
    is not misinterpreted as a userId parameter.
    ============================== */
 
-router.get('/documents/:fileName', (req, res) => {
+router.get('/documents/:fileName', requireScope(SCOPES.DOCUMENTS_READ), async (req, res) => {
     const { fileName } = req.params
 
     // Basic validation for fileName presence
@@ -111,8 +188,34 @@ router.get('/documents/:fileName', (req, res) => {
         })
     }
 
+    // Only serve documents the signed-in user uploaded (unless their
+    // role grants documents:read:any)
+    let document
+
+    try {
+        document = await Document.findOne({ fileName })
+    } catch (err) {
+        console.error('Error checking document ownership:', err)
+        return res.status(500).json({
+            message: 'Error downloading document',
+            error: err.message,
+        })
+    }
+
+    if (!document) {
+        return res.status(404).json({
+            message: 'Document not found',
+        })
+    }
+
+    if (String(document.user) !== String(getAuthUserId(req)) && !hasPermission(req, PERMISSIONS.DOCUMENTS_READ_ANY)) {
+        return res.status(403).json({
+            message: 'You do not have permission to access this document',
+        })
+    }
+
     // Construct absolute path to the requested file
-    const filePath = path.join(documentsDir, fileName)
+    const filePath = documentPath(document.fileName)
 
     // Log final resolved path for debugging
     console.log('Resolved document path:', filePath)
@@ -162,76 +265,77 @@ router.get('/documents/:fileName', (req, res) => {
    }
    ============================== */
 
-router.post('/', async (req, res) => {
+router.post('/', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
     try {
-        // Destructure fields from the request body.
         // "user" contains the userId string sent by the frontend.
-        const {
-            user: userId,
-            company,
-            position,
-            location,
-            status,
-            minSalary,
-            maxSalary,
-            dateApplied,
-            interviewDate,
-            interviewTime,
-            jobUrl,
-            notes,
-            documents,
-        } = req.body
+        const userId = req.body && req.body.user
 
-        // Backend validation for required fields
-        if (!company || !position || !location || !status || !userId || !dateApplied) {
-            console.log('Company, position, location, date applied, status, and userId are required')
+        // Users can only create applications for themselves (unless their
+        // role grants applications:write:any)
+        if (userId && !canAccessUser(req, userId, PERMISSIONS.APPLICATIONS_WRITE_ANY)) {
+            return res.status(403).json({
+                message: 'You do not have permission to create applications for this user',
+            })
+        }
 
+        if (!userId || !mongoose.isValidObjectId(userId)) {
             return res.status(400).json({
-                // Message designed to be displayed as a toast in the frontend
-                message: 'Company, position, location, status are required',
+                message: 'user is required',
             })
         }
 
-        // Build the new JobApplication document
-        const jobApplication = new JobApplication({
-            // Link to the user who created the application
-            user: userId,
+        // Backend validation of every field (shared with PATCH /:id)
+        // Messages are designed to be displayed as a toast in the frontend
+        const { value, error } = validateApplication(req.body)
 
-            // Basic job info
-            company,
-            position,
-            location,
+        if (error) {
+            console.log('400 - Invalid job application:', error)
+            return res.status(400).json({
+                message: error,
+            })
+        }
 
-            // Status (default to "applied" if something unexpected is sent)
-            status: status || 'applied',
+        // Status must be one of the stages on the user's board
+        const statusCheck = await checkStatus(userId, value.status)
 
-            // Salary values:
-            // If empty strings come from frontend, use undefined so that values are not stored
-            minSalary: minSalary || undefined,
-            maxSalary: maxSalary || undefined,
+        if (statusCheck.error) {
+            return res.status(400).json({
+                message: statusCheck.error,
+            })
+        }
 
-            // Convert date strings (e.g. "2025-11-24") into Date objects if provided
-            dateApplied: dateApplied ? new Date(dateApplied) : undefined,
-            interviewDate: interviewDate ? new Date(interviewDate) : undefined,
+        // Only files the caller (or the owner, when an admin creates it) uploaded
+        const documentCheck = await checkDocuments(value.documents, { uploaders: [getAuthUserId(req), userId] })
 
-            // Time is kept as a simple string like "14:30"
-            interviewTime: interviewTime || '',
+        if (documentCheck.error) {
+            return res.status(400).json({
+                message: documentCheck.error,
+            })
+        }
 
-            // Optional URL and notes
-            jobUrl: jobUrl || '',
-            notes: notes || '',
+        // Build the new JobApplication document
+        const jobApplication = new JobApplication({
+            // Link to the user who created the application
+            user: userId,
 
-            // Documents are stored as an array of filenames (strings)
-            documents: Array.isArray(documents) ? documents : [],
+            // Company, position, dates, salaries, notes, documents...
+            ...value,
+
+            // The documents' text, for search
+            documentsText: await documentsTextFor(userId, value.documents),
         })
 
         // Save the job application to MongoDB
         const saved = await jobApplication.save()
 
+        // First entry of the timeline
+        await timeline.recordCreated(saved, req)
+
         // Respond with 201 Created and the saved document
+        setETag(res, saved)
         res.status(201).json({
             message: 'Job application created successfully',
-            jobApplication: saved,
+            jobApplication: serializeJobApplication(saved),
         })
 
     } catch (err) {
@@ -244,39 +348,245 @@ router.post('/', async (req, res) => {
     }
 })
 
+/* ==============================
+   LIST FILTERS
+   Query parameters understood by GET /:userId
+   ============================== */
+
+// Fields the board can be sorted on
+const APPLICATION_SORT_FIELDS = [
+    'createdAt',
+    'updatedAt',
+    'dateApplied',
+    'interviewDate',
+    'company',
+    'position',
+    'location',
+    'minSalary',
+    'maxSalary',
+]
+
+// Biggest page when paginating (?limit=)
+const APPLICATION_MAX_LIMIT = 100
+
+// Read a yyyy-mm-dd (or full ISO) date query parameter. For the end of
+// a range (endOfDay) a date with no time means the whole of that day
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+    const date = new Date(value)
+
+    if (isNaN(date.getTime())) return { error: `${name} must be a valid date` }
+
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        date.setUTCHours(23, 59, 59, 999)
+    }
+
+    return { date }
+}
+
+// A date as milliseconds, for comparing (null when not set)
+function timeOf(date) {
+    return date ? new Date(date).getTime() : null
+}
+
+/* Build the Mongo filter for a user's applications from the query string.
+   The status filter is returned separately so the per-status counts can
+   be worked out for every column, not just the ones being shown.
+   Returns { filter, statusFilter } or { error } */
+function parseApplicationFilter(userId, query) {
+    // Applications in the trash are only listed by GET /:userId/trash
+    const filter = { user: new mongoose.Types.ObjectId(String(userId)), deletedAt: null }
+    const and = []
+    let statusFilter = null
+
+    // status=applied,interviewing
+    if (query.status) {
+        const statuses = String(query.status).split(',').map((value) => value.trim()).filter(Boolean)
+        statusFilter = { status: { $in: statuses } }
+    }
+
+    // company=acme / location=melbourne - case-insensitive "contains"
+    for (const field of ['company', 'location']) {
+        if (query[field] && String(query[field]).trim()) {
+            filter[field] = new RegExp(escapeRegExp(String(query[field]).trim()), 'i')
+        }
+    }
+
+    // appliedFrom / appliedTo - dateApplied range, inclusive
+    if (query.appliedFrom || query.appliedTo) {
+        filter.dateApplied = {}
+
+        for (const [name, operator] of [['appliedFrom', '$gte'], ['appliedTo', '$lte']]) {
+            if (!query[name]) continue
+
+            const { date, error } = parseDateParam(query[name], name, { endOfDay: name === 'appliedTo' })
+            if (error) return { error }
+
+            filter.dateApplied[operator] = date
+        }
+    }
+
+    // salaryMin / salaryMax - applications whose salary range overlaps the
+    // one asked for (a range with only one end set is treated as that number)
+    for (const [name, operator, ownEnd, otherEnd] of [
+        ['salaryMin', '$gte', 'maxSalary', 'minSalary'],
+        ['salaryMax', '$lte', 'minSalary', 'maxSalary'],
+    ]) {
+        if (query[name] === undefined || query[name] === '') continue
+
+        const amount = Number(query[name])
+        if (!Number.isFinite(amount) || amount < 0) {
+            return { error: `${name} must be a positive number` }
+        }
+
+        and.push({
+            $or: [
+                { [ownEnd]: { [operator]: amount } },
+                { [ownEnd]: null, [otherEnd]: { [operator]: amount } },
+            ],
+        })
+    }
+
+    // hasInterview=true / false
+    if (query.hasInterview !== undefined) {
+        if (query.hasInterview !== 'true' && query.hasInterview !== 'false') {
+            return { error: 'hasInterview must be true or false' }
+        }
+        filter.interviewDate = query.hasInterview === 'true' ? { $ne: null } : null
+    }
+
+    // tags=remote,referral - applications with any of these tags
+    if (query.tags) {
+        const tags = String(query.tags).split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean)
+        if (tags.length) filter.tags = { $in: tags }
+    }
+
+    // archived=false (default, the board) / true (only archived) / all
+    const archived = query.archived === undefined ? 'false' : String(query.archived)
+
+    if (!['false', 'true', 'all'].includes(archived)) {
+        return { error: 'archived must be true, false or all' }
+    }
+    if (archived !== 'all') {
+        filter.archivedAt = archived === 'true' ? { $ne: null } : null
+    }
+
+    if (and.length) filter.$and = and
+
+    return { filter, statusFilter }
+}
+
 /* ==============================
    GET /:userId
-   Retrieve all job applications for a user,
-   sorted by newest first (most recent createdAt first)
+   Retrieve a user's job applications. All query parameters are optional:
+   - status             one or more stage keys, comma separated
+   - company, location  case-insensitive "contains" match
+   - appliedFrom, appliedTo   dateApplied range (inclusive; a date with
+                              no time covers the whole day)
+   - salaryMin, salaryMax     salary range the application has to overlap
+   - hasInterview       true / false
+   - tags               one or more tags, comma separated (any of them)
+   - archived           false (default), true (only archived) or all
+   - sort               createdAt (default -createdAt), updatedAt, dateApplied,
+                        interviewDate, company, position, location, minSalary,
+                        maxSalary; prefix with - for descending
+   - limit, cursor      cursor pagination: send limit (1-100) for the first
+                        page, then the nextCursor from each response.
+                        Without limit every matching application is returned
+   - fields             e.g. fields=company,status
+
+   The response also has counts: how many applications are in each
+   status (with every filter except status applied), for the column
+   headers of the board
 
    Full URL from frontend:
    GET {App.apiBase}/job-application/:userId
 
    Example:
-   GET /job-application/691cfc1d825a123fa5d81054
+   GET /job-application/691cfc1d825a123fa5d81054?status=applied&sort=-dateApplied&limit=25
    ============================== */
 
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', requireScope(SCOPES.APPLICATIONS_READ), requireSelfOr(PERMISSIONS.APPLICATIONS_READ_ANY, 'userId'), async (req, res) => {
     try {
         // Read userId from URL path parameters
         const { userId } = req.params
 
         // If userId is missing, return a 400 Bad Request
-        if (!userId) {
+        if (!userId || !mongoose.isValidObjectId(userId)) {
             return res.status(400).json({
                 message: 'UserId is required',
             })
         }
 
-        // Find all job applications that belong to this user
-        // Sort them by createdAt descending so newest is at the top
-        const applications = await JobApplication.find({ user: userId })
-            .sort({ createdAt: -1 })
+        // === FILTERS + SORT ===
+        const parsed = parseApplicationFilter(userId, req.query)
+        const sorting = parseSort(req.query.sort, APPLICATION_SORT_FIELDS, '-createdAt')
+        const invalid = parsed.error || sorting.error
+
+        if (invalid) {
+            return res.status(400).json({
+                message: invalid,
+            })
+        }
+
+        const { filter, statusFilter } = parsed
+        const [[sortField, direction]] = Object.entries(sorting.sort)
+
+        // === PAGINATION ===
+        const paginate = req.query.limit !== undefined || req.query.cursor !== undefined
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit)
+
+        if (paginate && (!Number.isInteger(limit) || limit < 1 || limit > APPLICATION_MAX_LIMIT)) {
+            return res.status(400).json({
+                message: `limit must be a whole number between 1 and ${APPLICATION_MAX_LIMIT}`,
+            })
+        }
+
+        // Every match (for total) and the part of it after the cursor
+        const matchFilter = statusFilter ? { $and: [filter, statusFilter] } : filter
+        let pageFilter = matchFilter
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor)
+
+            if (cursor.error) {
+                return res.status(400).json({
+                    message: cursor.error,
+                })
+            }
+            pageFilter = { $and: [matchFilter, cursorFilter(sortField, direction, cursor)] }
+        }
+
+        // === FETCH ===
+        // One extra row tells whether there is another page
+        let query = JobApplication.find(pageFilter).sort(sorting.sort)
+        if (paginate) query = query.limit(limit + 1)
+
+        const [found, statusCounts, total] = await Promise.all([
+            query,
+            JobApplication.aggregate([
+                { $match: filter },
+                { $group: { _id: '$status', count: { $sum: 1 } } },
+            ]),
+            JobApplication.countDocuments(matchFilter),
+        ])
+
+        const hasMore = paginate && found.length > limit
+        const applications = hasMore ? found.slice(0, limit) : found
+        const last = applications[applications.length - 1]
 
         // Respond with the list of applications
+        const fields = parseFields(req.query)
+
         res.status(200).json({
             message: 'Job applications retrieved successfully',
-            applications,
+            applications: applications.map((application) => serializeJobApplication(application, { fields })),
+            counts: Object.fromEntries(statusCounts.map((entry) => [entry._id, entry.count])),
+            total,
+            pagination: {
+                limit: paginate ? limit : null,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(last, sortField) : null,
+            },
         })
 
     } catch (err) {
@@ -290,102 +600,979 @@ router.get('/:userId', async (req, res) => {
 })
 
 /* ==============================
-   PUT /:id
-   Update an existing job application
+   GET /:userId/search
+   Full-text search across a user's applications: company, position,
+   location, notes, job URL and the text inside attached PDF / DOCX
+   files. Results are ranked by relevance, best first, and each has
+   highlights: snippets with the [start, end] positions of the matches.
+   Query parameters:
+   - q        the search; "quoted phrases" and -excluded words work
+   - status   only these stage keys, comma separated
+   - limit    1-50, default 20
+   - fields   which application fields to return
+
+   Example:
+   GET /job-application/691cfc1d825a123fa5d81054/search?q=fintech kafka
    ============================== */
 
-router.put('/:id', async (req, res) => {
+router.get('/:userId/search', requireScope(SCOPES.APPLICATIONS_READ), requireSelfOr(PERMISSIONS.APPLICATIONS_READ_ANY, 'userId'), async (req, res) => {
     try {
-        // Job application id from URL parameter
-        const jobId = req.params.id
-
-        // Pull updated values from the body
-        const {
-            user: userId,
-            company,
-            position,
-            location,
-            status,
-            minSalary,
-            maxSalary,
-            dateApplied,
-            interviewDate,
-            interviewTime,
-            jobUrl,
-            notes,
-            documents,
-        } = req.body
+        const { userId } = req.params
+        const q = req.query.q === undefined ? '' : String(req.query.q).trim()
 
-        // Backend validation for required fields
-        if (!company || !position || !location || !status || !userId) {
+        if (!mongoose.isValidObjectId(userId)) {
             return res.status(400).json({
-                message: 'Company, position, location, date applied, status and user are required',
+                message: 'UserId is required',
             })
         }
 
-        // Build a plain update object
-        const update = {
-            user: userId,
-            company,
-            position,
-            location,
-            status,
-            minSalary: minSalary || undefined,
-            maxSalary: maxSalary || undefined,
-            dateApplied: dateApplied ? new Date(dateApplied) : undefined,
-            interviewDate: interviewDate ? new Date(interviewDate) : undefined,
-            interviewTime: interviewTime || '',
-            jobUrl: jobUrl || '',
-            notes: notes || '',
-            documents: Array.isArray(documents) ? documents : [],
+        if (!q || q.length > 200) {
+            return res.status(400).json({
+                message: 'q is required and must be 200 characters or fewer',
+            })
         }
 
-        // Find the job by id and update it
-        const updated = await JobApplication.findByIdAndUpdate(
-            jobId,
-            update,
-            { new: true } // new: true returns the updated document instead of the old one
-        )
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit)
 
-        // If no record was found, return 404 Not Found
-        if (!updated) {
-            return res.status(404).json({
-                message: 'Job application not found',
+        if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+            return res.status(400).json({
+                message: 'limit must be a whole number between 1 and 50',
             })
         }
 
-        // Respond with the updated job application
+        const statuses = req.query.status
+            ? String(req.query.status).split(',').map((value) => value.trim()).filter(Boolean)
+            : null
+
+        const { results, total } = await searchApplications(userId, q, { limit, statuses })
+        const fields = parseFields(req.query)
+
         res.status(200).json({
-            message: 'Job application updated successfully',
-            jobApplication: updated,
+            message: 'Search completed successfully',
+            total,
+            results: results.map((result) => ({
+                application: serializeJobApplication(result.application, { fields }),
+                score: result.score,
+                highlights: result.highlights,
+            })),
         })
 
     } catch (err) {
-        console.error('Error updating job application:', err)
+        console.error('Error searching job applications:', err)
+
         res.status(500).json({
-            message: 'Error updating job application',
+            message: 'Error searching job applications',
             error: err.message,
         })
     }
 })
 
 /* ==============================
-   DELETE /:id
-   Delete an existing job application
+   POST /:userId/bulk
+   Apply one action to many of a user's applications. Body:
+   - action     status | addTags | removeTags | archive | unarchive | delete
+   - status, statusChangedAt, statusNote   for action "status"
+   - tags       for addTags / removeTags, e.g. ["remote"]
+   - ids        the applications to change...
+   - filter     ...or the same filters as GET /:userId, e.g.
+                { "status": "applied", "appliedTo": "2025-09-01" }
+                (archived applications are only matched with
+                "archived": "true" or "all")
+   - dryRun     true = only report what would change
+
+   At most 500 applications per request. Each one is reported on its
+   own: succeeded, unchanged (nothing to do) or failed with the reason.
+   Only applications on :userId's board are touched, so ids of other
+   users' applications fail as not found
+
+   Example:
+   POST /job-application/691cfc1d825a123fa5d81054/bulk
+   { "action": "status", "status": "rejected", "filter": { "status": "applied", "appliedTo": "2025-09-01" }, "dryRun": true }
    ============================== */
 
-router.delete('/:id', async (req, res) => {
+// Filter keys accepted by a bulk request (a misspelt key must not widen the match)
+const BULK_FILTER_KEYS = [
+    'status',
+    'company',
+    'location',
+    'appliedFrom',
+    'appliedTo',
+    'salaryMin',
+    'salaryMax',
+    'hasInterview',
+    'tags',
+    'archived',
+]
+
+router.post('/:userId/bulk', requireScope(SCOPES.APPLICATIONS_WRITE), requireSelfOr(PERMISSIONS.APPLICATIONS_WRITE_ANY, 'userId'), async (req, res) => {
     try {
-        // Job application id from URL parameter
-        const jobId = req.params.id
+        const { userId } = req.params
+
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({
+                message: 'UserId is required',
+            })
+        }
+
+        const body = req.body || {}
+        const { ids, filter } = body
+        const dryRun = body.dryRun === true
+
+        // === ACTION ===
+        const parsed = bulk.parseBulkAction(body)
+
+        if (parsed.error) {
+            console.log('400 - Invalid bulk action:', parsed.error)
+            return res.status(400).json({
+                message: parsed.error,
+            })
+        }
+
+        const action = parsed.value
+
+        if (action.action === 'status') {
+            const statusCheck = await checkStatus(userId, action.status)
+
+            if (statusCheck.error) {
+                return res.status(400).json({
+                    message: statusCheck.error,
+                })
+            }
+        }
+
+        // === WHICH APPLICATIONS ===
+        if ((ids === undefined) === (filter === undefined)) {
+            return res.status(400).json({
+                message: 'Send either ids or filter',
+            })
+        }
+
+        const results = []
+        let applications
+
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > bulk.MAX_BULK_ITEMS) {
+                return res.status(400).json({
+                    message: `ids must be a list of 1 to ${bulk.MAX_BULK_ITEMS} job application ids`,
+                })
+            }
+
+            const uniqueIds = [...new Set(ids.map(String))]
+            const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id))
+
+            const found = await JobApplication.find({ _id: { $in: validIds }, user: userId, deletedAt: null })
+            const byId = new Map(found.map((application) => [String(application._id), application]))
+
+            // Keep the order the ids were sent in
+            applications = []
+            for (const id of uniqueIds) {
+                if (byId.has(id)) applications.push(byId.get(id))
+                else results.push({ id, outcome: 'failed', error: 'Job application not found' })
+            }
+        } else {
+            if (!filter || typeof filter !== 'object' || Array.isArray(filter) || Object.keys(filter).length === 0) {
+                return res.status(400).json({
+                    message: `filter must be an object with at least one of: ${BULK_FILTER_KEYS.join(', ')}`,
+                })
+            }
+
+            const unknown = Object.keys(filter).find((key) => !BULK_FILTER_KEYS.includes(key))
 
-        // Attempt to delete the document
-        const deleted = await JobApplication.findByIdAndDelete(jobId)
+            if (unknown) {
+                return res.status(400).json({
+                    message: `Unknown filter: ${unknown}. Filters: ${BULK_FILTER_KEYS.join(', ')}`,
+                })
+            }
+
+            // Same format as the query string of GET /:userId
+            const query = Object.fromEntries(Object.entries(filter).map(([key, value]) => (
+                [key, Array.isArray(value) ? value.join(',') : String(value)]
+            )))
+
+            const parsedFilter = parseApplicationFilter(userId, query)
+
+            if (parsedFilter.error) {
+                return res.status(400).json({
+                    message: parsedFilter.error,
+                })
+            }
+
+            const matchFilter = parsedFilter.statusFilter
+                ? { $and: [parsedFilter.filter, parsedFilter.statusFilter] }
+                : parsedFilter.filter
 
+            const matched = await JobApplication.countDocuments(matchFilter)
+
+            if (matched > bulk.MAX_BULK_ITEMS) {
+                return res.status(400).json({
+                    message: `The filter matches ${matched} job applications; at most ${bulk.MAX_BULK_ITEMS} can be changed at once. Narrow the filter`,
+                })
+            }
+
+            applications = await JobApplication.find(matchFilter).sort({ createdAt: -1 })
+        }
+
+        // === APPLY ===
+        // One at a time so each item's result is its own
+        for (const application of applications) {
+            try {
+                results.push(await bulk.applyToApplication(application, action, { dryRun }, req))
+            } catch (err) {
+                console.error('Error in bulk action for job application', String(application._id), err)
+                results.push({ id: String(application._id), outcome: 'failed', error: err.message })
+            }
+        }
+
+        res.status(200).json({
+            message: dryRun ? 'Bulk action previewed, nothing was changed' : 'Bulk action completed',
+            action: action.action,
+            dryRun,
+            summary: bulk.summarize(results),
+            results,
+        })
+
+    } catch (err) {
+        console.error('Error running bulk action on job applications:', err)
+
+        res.status(500).json({
+            message: 'Error running bulk action on job applications',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   GET /:userId/analytics
+   How the job search is going: totals and response rate, the stage
+   funnel with conversion rates, applications per week, median days to
+   the first response and in each stage, and breakdowns by location and
+   company (see services/applicationAnalytics.js). Archived applications
+   count, the trash doesn't.
+   Query parameters (optional):
+   - from, to   only applications applied for in this range (inclusive;
+                a date with no time covers the whole day)
+
+   Example:
+   GET /job-application/691cfc1d825a123fa5d81054/analytics?from=2025-09-01&to=2025-12-31
+   ============================== */
+
+router.get('/:userId/analytics', requireScope(SCOPES.APPLICATIONS_READ), requireSelfOr(PERMISSIONS.APPLICATIONS_READ_ANY, 'userId'), async (req, res) => {
+    try {
+        const { userId } = req.params
+
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({
+                message: 'UserId is required',
+            })
+        }
+
+        const range = {}
+
+        for (const name of ['from', 'to']) {
+            if (!req.query[name]) continue
+
+            const { date, error } = parseDateParam(req.query[name], name, { endOfDay: name === 'to' })
+
+            if (error) {
+                return res.status(400).json({
+                    message: error,
+                })
+            }
+            range[name] = date
+        }
+
+        if (range.from && range.to && range.from > range.to) {
+            return res.status(400).json({
+                message: 'from must be before to',
+            })
+        }
+
+        const analytics = await buildAnalytics(userId, range)
+
+        res.status(200).json({
+            message: 'Analytics retrieved successfully',
+            ...analytics,
+        })
+
+    } catch (err) {
+        console.error('Error building job application analytics:', err)
+
+        res.status(500).json({
+            message: 'Error building job application analytics',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   GET /:userId/trash
+   A user's deleted job applications, most recently deleted first, with
+   the date each one will be removed for good (purgeAt)
+
+   Example:
+   GET /job-application/691cfc1d825a123fa5d81054/trash
+   ============================== */
+
+router.get('/:userId/trash', requireScope(SCOPES.APPLICATIONS_READ), requireSelfOr(PERMISSIONS.APPLICATIONS_READ_ANY, 'userId'), async (req, res) => {
+    try {
+        const { userId } = req.params
+
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({
+                message: 'UserId is required',
+            })
+        }
+
+        const applications = await JobApplication.find({ user: userId, deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1 })
+
+        const fields = parseFields(req.query)
+
+        res.status(200).json({
+            message: 'Trash retrieved successfully',
+            retentionDays: trash.APPLICATION_TRASH_RETENTION_DAYS,
+            applications: applications.map((application) => serializeJobApplication(application, { fields })),
+        })
+
+    } catch (err) {
+        console.error('Error retrieving the trash:', err)
+
+        res.status(500).json({
+            message: 'Error retrieving the trash',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   GET /:id/timeline
+   Everything that happened to a job application, oldest first:
+   when it was created, every status change (with its note), when it
+   was deleted and restored. The timeline of an application in the
+   trash, or removed for good, can still be read (deleted: true); only
+   editing it has to wait until the application is restored
+
+   Example:
+   GET /job-application/6720f1.../timeline
+   ============================== */
+
+router.get('/:id/timeline', requireScope(SCOPES.APPLICATIONS_READ), async (req, res) => {
+    try {
+        const jobId = req.params.id
+
+        if (!mongoose.isValidObjectId(jobId)) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        // The owner comes from the application, or from its events once deleted
+        const application = await JobApplication.findById(jobId).select('user status deletedAt')
+        const owner = application ? application.user : await timeline.findTimelineOwner(jobId)
+
+        if (!owner) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        if (!canAccessUser(req, owner, PERMISSIONS.APPLICATIONS_READ_ANY)) {
+            return res.status(403).json({
+                message: 'You do not have permission to view this job application',
+            })
+        }
+
+        const events = await timeline.findTimeline(jobId)
+
+        res.status(200).json({
+            message: 'Timeline retrieved successfully',
+            applicationId: jobId,
+            status: application ? application.status : null,
+            deleted: !application || Boolean(application.deletedAt),
+            inTrash: Boolean(application && application.deletedAt),
+            events: events.map(serializeApplicationEvent),
+        })
+
+    } catch (err) {
+        console.error('Error retrieving timeline:', err)
+        res.status(500).json({
+            message: 'Error retrieving timeline',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PATCH /:id/timeline/:eventId
+   Correct when a status change happened or its note, e.g. after
+   remembering "they actually called me last Tuesday". The change has
+   to stay between the entries before and after it on the timeline
+
+   Body: { occurredAt?: "2025-11-18T10:00", note?: "Phone screen" }
+   ============================== */
+
+router.patch('/:id/timeline/:eventId', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+    try {
+        const { id: jobId, eventId } = req.params
+
+        if (!mongoose.isValidObjectId(jobId) || !mongoose.isValidObjectId(eventId)) {
+            return res.status(404).json({
+                message: 'Timeline event not found',
+            })
+        }
+
+        const event = await ApplicationEvent.findOne({ _id: eventId, application: jobId })
+
+        if (!event) {
+            return res.status(404).json({
+                message: 'Timeline event not found',
+            })
+        }
+
+        if (!canAccessUser(req, event.user, PERMISSIONS.APPLICATIONS_WRITE_ANY)) {
+            return res.status(403).json({
+                message: 'You do not have permission to update this job application',
+            })
+        }
+
+        // Only status changes can be moved or annotated; created / deleted
+        // are facts recorded by the server
+        if (event.type !== 'status_changed') {
+            return res.status(400).json({
+                message: 'Only status changes can be edited',
+            })
+        }
+
+        const { occurredAt, note } = req.body || {}
+        const transition = timeline.parseTransition({ occurredAt, note }, { dateField: 'occurredAt', noteField: 'note' })
+
+        if (transition.error) {
+            return res.status(400).json({
+                message: transition.error,
+            })
+        }
+
+        // The timeline of a deleted application can be read but not changed
+        // (one in the trash has to be restored first)
+        const application = await JobApplication.findById(jobId).select('dateApplied deletedAt')
+
+        if (!application || application.deletedAt) {
+            return res.status(404).json({
+                message: 'Timeline event not found',
+            })
+        }
+
+        // It has to stay between the entries before and after it
+        const dateCheck = await timeline.checkTransitionDate(application, transition.occurredAt, { dateField: 'occurredAt', event })
+
+        if (dateCheck.error) {
+            return res.status(400).json({
+                message: dateCheck.error,
+            })
+        }
+
+        if (transition.occurredAt) event.occurredAt = transition.occurredAt
+        if (transition.note !== undefined) event.note = transition.note
+        await event.save()
+
+        res.status(200).json({
+            message: 'Timeline event updated successfully',
+            event: serializeApplicationEvent(event),
+        })
+
+    } catch (err) {
+        console.error('Error updating timeline event:', err)
+        res.status(500).json({
+            message: 'Error updating timeline event',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PUT /:id
+   Update an existing job application
+
+   A status change is added to the timeline. It can be backdated and
+   annotated with two extra (optional) body fields:
+   - statusChangedAt   when it really happened, e.g. "2025-11-18" (not
+                       before the latest entry on the timeline)
+   - statusNote        e.g. "Recruiter called"
+   ============================== */
+
+router.put('/:id', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+    try {
+        // Job application id from URL parameter
+        const jobId = req.params.id
+
+        // Pull updated values from the body
+        const {
+            user: userId,
+            company,
+            position,
+            location,
+            status,
+            minSalary,
+            maxSalary,
+            dateApplied,
+            interviewDate,
+            interviewTime,
+            jobUrl,
+            notes,
+            documents,
+            statusChangedAt,
+            statusNote,
+        } = req.body
+
+        // Backend validation for required fields
+        if (!company || !position || !location || !status || !userId) {
+            return res.status(400).json({
+                message: 'Company, position, location, date applied, status and user are required',
+            })
+        }
+
+        // Optional backdate / note for the status change
+        const transition = timeline.parseTransition({ occurredAt: statusChangedAt, note: statusNote })
+
+        if (transition.error) {
+            return res.status(400).json({
+                message: transition.error,
+            })
+        }
+
+        if (!mongoose.isValidObjectId(jobId)) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        // Load the existing record so ownership can be checked before updating
+        // (applications in the trash have to be restored first)
+        const existing = await JobApplication.findOne({ _id: jobId, deletedAt: null })
+
+        // If no record was found, return 404 Not Found
+        if (!existing) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        // Only the owner (or applications:write:any) may update it, and it
+        // may not be moved to another user's board
+        if (!canAccessUser(req, existing.user, PERMISSIONS.APPLICATIONS_WRITE_ANY)
+            || !canAccessUser(req, userId, PERMISSIONS.APPLICATIONS_WRITE_ANY)) {
+            return res.status(403).json({
+                message: 'You do not have permission to update this job application',
+            })
+        }
+
+        // If-Match: refuse to overwrite changes the client hasn't seen
+        if (isStale(req, existing)) {
+            return sendPreconditionFailed(res, existing)
+        }
+
+        // Status must be one of the stages on the (new) owner's board; an
+        // archived stage is only accepted if the application is already in it
+        const statusCheck = await checkStatus(userId, status, {
+            currentStatus: String(existing.user) === String(userId) ? existing.status : undefined,
+        })
+
+        if (statusCheck.error) {
+            return res.status(400).json({
+                message: statusCheck.error,
+            })
+        }
+
+        // A backdated status change can't go before what's already on the timeline
+        if (status !== existing.status) {
+            const dateCheck = await timeline.checkTransitionDate(existing, transition.occurredAt)
+
+            if (dateCheck.error) {
+                return res.status(400).json({
+                    message: dateCheck.error,
+                })
+            }
+        }
+
+        // New documents must be files the caller (or the owner) uploaded;
+        // the ones already on the application may stay
+        const documentCheck = await checkDocuments(Array.isArray(documents) ? documents : [], {
+            uploaders: [getAuthUserId(req), userId],
+            existing: existing.documents,
+        })
+
+        if (documentCheck.error) {
+            return res.status(400).json({
+                message: documentCheck.error,
+            })
+        }
+
+        // Build a plain update object
+        const update = {
+            user: userId,
+            company,
+            position,
+            location,
+            status,
+            minSalary: minSalary || undefined,
+            maxSalary: maxSalary || undefined,
+            dateApplied: dateApplied ? new Date(dateApplied) : undefined,
+            interviewDate: interviewDate ? new Date(interviewDate) : undefined,
+            interviewTime: interviewTime || '',
+            jobUrl: jobUrl || '',
+            notes: notes || '',
+            documents: Array.isArray(documents) ? documents : [],
+            documentsText: await documentsTextFor(userId, documents),
+        }
+
+        // Find the job by id and update it, raising its version. With
+        // If-Match the write only happens if nobody saved in the meantime
+        const updated = await JobApplication.findOneAndUpdate(
+            hasIfMatch(req) ? versionFilter(existing) : { _id: jobId, deletedAt: null },
+            { ...update, ...bumpVersion },
+            { new: true } // new: true returns the updated document instead of the old one
+        )
+
+        if (!updated) {
+            const current = await JobApplication.findOne({ _id: jobId, deletedAt: null })
+
+            // Changed between the read above and this write
+            if (current) return sendPreconditionFailed(res, current)
+
+            // If no record was found, return 404 Not Found
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        // The "created" entry on the timeline follows the date applied
+        if (timeOf(updated.dateApplied) !== timeOf(existing.dateApplied)) {
+            await timeline.moveCreatedEvent(updated)
+        }
+
+        if (updated.status !== existing.status) {
+            await timeline.recordStatusChange(updated, existing.status, transition, req)
+        }
+
+        // Respond with the updated job application
+        setETag(res, updated)
+        res.status(200).json({
+            message: 'Job application updated successfully',
+            jobApplication: serializeJobApplication(updated),
+        })
+
+    } catch (err) {
+        console.error('Error updating job application:', err)
+        res.status(500).json({
+            message: 'Error updating job application',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PATCH /:id
+   Change only the fields sent, e.g. { "notes": "..." }, with the same
+   validation as POST. Fields can be cleared with null or "".
+   statusChangedAt / statusNote work like on PUT.
+
+   Send the ETag from a previous response as If-Match to make sure the
+   application wasn't changed since; a stale one gets 412
+   ============================== */
+
+router.patch('/:id', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+    try {
+        const jobId = req.params.id
+
+        if (!mongoose.isValidObjectId(jobId)) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        const existing = await JobApplication.findOne({ _id: jobId, deletedAt: null })
+
+        if (!existing) {
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
+
+        // Only the owner (or applications:write:any) may update it
+        if (!canAccessUser(req, existing.user, PERMISSIONS.APPLICATIONS_WRITE_ANY)) {
+            return res.status(403).json({
+                message: 'You do not have permission to update this job application',
+            })
+        }
+
+        if (isStale(req, existing)) {
+            return sendPreconditionFailed(res, existing)
+        }
+
+        const { value, error } = validateApplication(req.body, {
+            partial: true,
+            existing,
+            ignore: ['statusChangedAt', 'statusNote'],
+        })
+
+        if (error) {
+            console.log('400 - Invalid job application patch:', error)
+            return res.status(400).json({
+                message: error,
+            })
+        }
+
+        const transition = timeline.parseTransition({
+            occurredAt: req.body.statusChangedAt,
+            note: req.body.statusNote,
+        })
+
+        if (transition.error) {
+            return res.status(400).json({
+                message: transition.error,
+            })
+        }
+
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({
+                message: 'No fields to update',
+            })
+        }
+
+        // Same stage rules as PUT
+        if (value.status !== undefined) {
+            const statusCheck = await checkStatus(existing.user, value.status, { currentStatus: existing.status })
+
+            if (statusCheck.error) {
+                return res.status(400).json({
+                    message: statusCheck.error,
+                })
+            }
+
+            const dateCheck = value.status === existing.status
+                ? {}
+                : await timeline.checkTransitionDate(existing, transition.occurredAt)
+
+            if (dateCheck.error) {
+                return res.status(400).json({
+                    message: dateCheck.error,
+                })
+            }
+        }
+
+        if (value.documents !== undefined) {
+            // Same rule as PUT: new documents must be the caller's (or owner's) uploads
+            const documentCheck = await checkDocuments(value.documents, {
+                uploaders: [getAuthUserId(req), existing.user],
+                existing: existing.documents,
+            })
+
+            if (documentCheck.error) {
+                return res.status(400).json({
+                    message: documentCheck.error,
+                })
+            }
+
+            value.documentsText = await documentsTextFor(existing.user, value.documents)
+        }
+
+        // Always conditional on the version just read, so two PATCHes
+        // racing each other can't both record the same status change
+        const updated = await JobApplication.findOneAndUpdate(
+            versionFilter(existing),
+            { ...value, ...bumpVersion },
+            { new: true, runValidators: true }
+        )
+
+        if (!updated) {
+            const current = await JobApplication.findOne({ _id: jobId, deletedAt: null })
+
+            // Without If-Match the client doesn't care which version it
+            // patches, so tell it to retry only when it asked
+            if (current && hasIfMatch(req)) return sendPreconditionFailed(res, current)
+
+            return res.status(current ? 409 : 404).json({
+                message: current
+                    ? 'This job application is being changed by another request. Try again'
+                    : 'Job application not found',
+            })
+        }
+
+        // The "created" entry on the timeline follows the date applied
+        if (timeOf(updated.dateApplied) !== timeOf(existing.dateApplied)) {
+            await timeline.moveCreatedEvent(updated)
+        }
+
+        if (updated.status !== existing.status) {
+            await timeline.recordStatusChange(updated, existing.status, transition, req)
+        }
+
+        setETag(res, updated)
+        res.status(200).json({
+            message: 'Job application updated successfully',
+            jobApplication: serializeJobApplication(updated),
+        })
+
+    } catch (err) {
+        console.error('Error updating job application:', err)
+        res.status(500).json({
+            message: 'Error updating job application',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   Archive, trash and restore
+   All of them check ownership like PUT and honour If-Match
+   ============================== */
+
+/* Load the application in :id for one of the routes below, sending the
+   404 / 403 / 412 response itself when it can't be changed.
+   inTrash: false = only applications on the board or archived,
+   true = only applications in the trash.
+   Returns the application, or null when a response was already sent */
+async function loadForWrite(req, res, { inTrash = false } = {}) {
+    const jobId = req.params.id
+
+    const existing = mongoose.isValidObjectId(jobId)
+        ? await JobApplication.findOne({ _id: jobId, deletedAt: inTrash ? { $ne: null } : null })
+        : null
+
+    if (!existing) {
+        res.status(404).json({
+            message: inTrash ? 'Job application not found in the trash' : 'Job application not found',
+        })
+        return null
+    }
+
+    if (!canAccessUser(req, existing.user, PERMISSIONS.APPLICATIONS_WRITE_ANY)) {
+        res.status(403).json({
+            message: 'You do not have permission to change this job application',
+        })
+        return null
+    }
+
+    if (isStale(req, existing)) {
+        sendPreconditionFailed(res, existing)
+        return null
+    }
+
+    return existing
+}
+
+/* ==============================
+   POST /:id/archive
+   POST /:id/unarchive
+   Archiving takes an application off the board (GET /:userId leaves it
+   out unless ?archived=true or all) but it is still searchable and
+   counted in analytics. Both are safe to repeat
+   ============================== */
+
+for (const action of ['archive', 'unarchive']) {
+    router.post(`/:id/${action}`, requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+        try {
+            const existing = await loadForWrite(req, res)
+            if (!existing) return
+
+            const archivedAt = action === 'archive' ? (existing.archivedAt || new Date()) : null
+
+            const updated = await JobApplication.findOneAndUpdate(
+                { ...versionFilter(existing), deletedAt: null },
+                { archivedAt, ...bumpVersion },
+                { new: true }
+            )
+
+            if (!updated) {
+                const current = await JobApplication.findOne({ _id: existing._id, deletedAt: null })
+                if (current) return sendPreconditionFailed(res, current)
+
+                return res.status(404).json({
+                    message: 'Job application not found',
+                })
+            }
+
+            setETag(res, updated)
+            res.status(200).json({
+                message: action === 'archive' ? 'Job application archived' : 'Job application moved back to the board',
+                jobApplication: serializeJobApplication(updated),
+            })
+
+        } catch (err) {
+            console.error(`Error trying to ${action} job application:`, err)
+            res.status(500).json({
+                message: `Error trying to ${action} job application`,
+                error: err.message,
+            })
+        }
+    })
+}
+
+/* ==============================
+   POST /:id/restore
+   Take an application out of the trash, back where it was
+   ============================== */
+
+router.post('/:id/restore', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+    try {
+        const existing = await loadForWrite(req, res, { inTrash: true })
+        if (!existing) return
+
+        const restored = await trash.restoreApplication(existing, req)
+
+        if (!restored) {
+            return res.status(404).json({
+                message: 'Job application not found in the trash',
+            })
+        }
+
+        setETag(res, restored)
+        res.status(200).json({
+            message: 'Job application restored',
+            jobApplication: serializeJobApplication(restored),
+        })
+
+    } catch (err) {
+        console.error('Error restoring job application:', err)
+        res.status(500).json({
+            message: 'Error restoring job application',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   DELETE /:id
+   Delete an existing job application: it goes to the trash and can be
+   restored with POST /:id/restore until purgeAt. After that it is
+   removed for good with the documents nothing else uses (its timeline
+   can still be read)
+   (If-Match is honoured like on PUT / PATCH)
+   ============================== */
+
+router.delete('/:id', requireScope(SCOPES.APPLICATIONS_WRITE), async (req, res) => {
+    try {
+        const existing = await loadForWrite(req, res)
+        if (!existing) return
+
+        // Only at the version checked above when If-Match was sent
+        const trashed = await trash.trashApplication(existing, req, {
+            filter: hasIfMatch(req) ? versionFilter(existing) : null,
+        })
+
+        if (!trashed) {
+            const current = await JobApplication.findOne({ _id: existing._id, deletedAt: null })
+            if (current) return sendPreconditionFailed(res, current)
+
+            return res.status(404).json({
+                message: 'Job application not found',
+            })
+        }
 
         // Confirm successful deletion
         res.status(200).json({
-            message: 'Job application deleted successfully',
+            message: 'Job application moved to the trash',
+            purgeAt: trashed.purgeAt,
         })
 
     } catch (err) {
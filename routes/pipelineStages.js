@@ -0,0 +1,396 @@
+/* ==============================
+   PIPELINE STAGE ROUTES
+   Let a user define the columns of their board: add, rename, recolour,
+   reorder, archive and delete stages. Mounted in server.js as:
+   app.use('/user/:userId/stages', authenticate, pipelineStageRouter)
+
+   A stage that still has applications can only be deleted by moving
+   them to another stage (?reassignTo=<key>)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const express = require('express')
+
+// mergeParams so :userId from the mount path is visible here
+const router = express.Router({ mergeParams: true })
+
+const mongoose = require('mongoose')
+
+const User = require('../models/User')
+const PipelineStage = require('../models/PipelineStage')
+const JobApplication = require('../models/JobApplication')
+
+const stages = require('../services/pipelineStages')
+
+// Ownership / permission checks
+const { requireSelfOr, requireScope } = require('../middleware/auth')
+const { PERMISSIONS } = require('../config/roles')
+const { SCOPES } = require('../config/scopes')
+
+// How many times adding a stage is tried when its key is taken meanwhile
+const CREATE_ATTEMPTS = 3
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+// What the API returns for a stage
+function toStageObject(stage, applicationCounts = {}) {
+    return {
+        key: stage.key,
+        name: stage.name,
+        color: stage.color,
+        order: stage.order,
+        outcome: stage.outcome,
+        archived: Boolean(stage.archivedAt),
+        archivedAt: stage.archivedAt,
+        applicationCount: applicationCounts[stage.key] || 0,
+    }
+}
+
+// { stageKey: number of applications } for a user's board (archived and
+// trashed applications included: they keep their stage for when they come back)
+async function countApplications(userId) {
+    const counts = await JobApplication.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+    ])
+
+    return Object.fromEntries(counts.map((entry) => [entry._id, entry.count]))
+}
+
+// Every route works on an existing, not deleted user
+async function requireUser(req, res, next) {
+    try {
+        const { userId } = req.params
+
+        if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId, deletedAt: null }))) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        next()
+    } catch (err) {
+        next(err)
+    }
+}
+
+// Permission checks come before the user lookup, so other users' ids
+// get a 403 whether or not they exist
+const canRead = [requireScope(SCOPES.APPLICATIONS_READ), requireSelfOr(PERMISSIONS.APPLICATIONS_READ_ANY, 'userId'), requireUser]
+const canWrite = [requireScope(SCOPES.APPLICATIONS_WRITE), requireSelfOr(PERMISSIONS.APPLICATIONS_WRITE_ANY, 'userId'), requireUser]
+
+/* ==============================
+   GET /user/:userId/stages
+   The board's stages in order, with how many applications are in each.
+   ?archived=true also lists archived stages
+  ============================== */
+router.get('/', canRead, async (req, res) => {
+    try {
+        const { userId } = req.params
+
+        const [list, counts] = await Promise.all([
+            stages.listStages(userId, { includeArchived: req.query.archived === 'true' }),
+            countApplications(userId),
+        ])
+
+        res.status(200).json({
+            stages: list.map((stage) => toStageObject(stage, counts)),
+        })
+    } catch (err) {
+        console.error('Error listing pipeline stages:', err)
+        res.status(500).json({
+            message: 'Error listing pipeline stages',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /user/:userId/stages
+   Add a stage at the end of the board
+   Body: { name: "Phone screen", color: "#8b5cf6", outcome?: "active" | "won" | "lost" | "dropped" }
+  ============================== */
+router.post('/', canWrite, async (req, res) => {
+    try {
+        const { userId } = req.params
+
+        const { value, error } = stages.validateStage(req.body)
+
+        if (error) {
+            return res.status(400).json({
+                message: error,
+            })
+        }
+
+        // Two stages with the same name added at the same time get the
+        // same key and only one passes the unique index: the other reads
+        // the board again and takes the next free key
+        let stage = null
+
+        for (let attempt = 0; attempt < CREATE_ATTEMPTS && !stage; attempt++) {
+            const existing = await stages.listStages(userId, { includeArchived: true })
+
+            if (existing.length >= stages.MAX_STAGES_PER_USER) {
+                return res.status(400).json({
+                    message: `A board can have at most ${stages.MAX_STAGES_PER_USER} stages, delete one first`,
+                })
+            }
+
+            try {
+                stage = await PipelineStage.create({
+                    ...value,
+                    user: userId,
+                    key: stages.stageKeyFor(value.name, existing.map((entry) => entry.key)),
+                    order: existing.length ? Math.max(...existing.map((entry) => entry.order)) + 1 : 0,
+                })
+            } catch (err) {
+                // 11000 = duplicate key: another request took this key first
+                if (err.code !== 11000) throw err
+            }
+        }
+
+        if (!stage) {
+            console.log('409 - Pipeline stage key taken by concurrent requests')
+            return res.status(409).json({
+                message: 'Other stages were added at the same time. Try again',
+            })
+        }
+
+        console.log('201 - Pipeline stage created')
+        res.status(201).json({
+            message: 'Stage created successfully',
+            stage: toStageObject(stage),
+        })
+    } catch (err) {
+        console.error('Error creating pipeline stage:', err)
+        res.status(500).json({
+            message: 'Error creating pipeline stage',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PUT /user/:userId/stages/order
+   Reorder the board. Every stage key (archived included) must be sent
+   exactly once, left to right
+   Body: { keys: ["wishlist", "applied", "phone-screen", ...] }
+  ============================== */
+router.put('/order', canWrite, async (req, res) => {
+    try {
+        const { userId } = req.params
+        const { keys } = req.body || {}
+
+        const existing = await stages.listStages(userId, { includeArchived: true })
+        const existingKeys = existing.map((stage) => stage.key)
+
+        const isComplete = Array.isArray(keys)
+            && keys.length === existingKeys.length
+            && new Set(keys).size === keys.length
+            && keys.every((key) => existingKeys.includes(key))
+
+        if (!isComplete) {
+            return res.status(400).json({
+                message: 'keys must list every stage exactly once',
+                keys: existingKeys,
+            })
+        }
+
+        await PipelineStage.bulkWrite(keys.map((key, index) => ({
+            updateOne: {
+                filter: { user: userId, key },
+                update: { order: index },
+            },
+        })))
+
+        const [list, counts] = await Promise.all([
+            stages.listStages(userId, { includeArchived: true }),
+            countApplications(userId),
+        ])
+
+        res.status(200).json({
+            message: 'Stages reordered successfully',
+            stages: list.map((stage) => toStageObject(stage, counts)),
+        })
+    } catch (err) {
+        console.error('Error reordering pipeline stages:', err)
+        res.status(500).json({
+            message: 'Error reordering pipeline stages',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   PATCH /user/:userId/stages/:key
+   Rename, recolour, change the outcome of, archive or unarchive a stage.
+   The key never changes, so applications stay in the stage
+   Body: { name?, color?, outcome?, archived?: true | false }
+  ============================== */
+router.patch('/:key', canWrite, async (req, res) => {
+    try {
+        const { userId, key } = req.params
+
+        await stages.ensureDefaultStages(userId)
+        const stage = await PipelineStage.findOne({ user: userId, key })
+
+        if (!stage) {
+            return res.status(404).json({
+                message: 'Stage not found',
+            })
+        }
+
+        const { value, error } = stages.validateStage(req.body, { partial: true })
+
+        if (error) {
+            return res.status(400).json({
+                message: error,
+            })
+        }
+
+        const { archived } = req.body
+
+        if (archived !== undefined && typeof archived !== 'boolean') {
+            return res.status(400).json({
+                message: 'archived must be true or false',
+            })
+        }
+
+        // The board always needs at least one stage to put applications in
+        if (archived === true && !stage.archivedAt) {
+            const usable = await PipelineStage.countDocuments({ user: userId, archivedAt: null })
+
+            if (usable <= 1) {
+                return res.status(400).json({
+                    message: 'The last stage on the board cannot be archived',
+                })
+            }
+            stage.archivedAt = new Date()
+        }
+
+        if (archived === false) {
+            stage.archivedAt = null
+        }
+
+        Object.assign(stage, value)
+        await stage.save()
+
+        if (stage.archivedAt) {
+            await stages.replaceDefaultStatus(userId, stage.key)
+        }
+
+        const counts = await countApplications(userId)
+
+        res.status(200).json({
+            message: 'Stage updated successfully',
+            stage: toStageObject(stage, counts),
+        })
+    } catch (err) {
+        console.error('Error updating pipeline stage:', err)
+        res.status(500).json({
+            message: 'Error updating pipeline stage',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   DELETE /user/:userId/stages/:key
+   Delete a stage. When applications are still in it they must be moved
+   first: ?reassignTo=<key of another stage>. Each moved application
+   gets the change in its timeline
+  ============================== */
+router.delete('/:key', canWrite, async (req, res) => {
+    try {
+        const { userId, key } = req.params
+        const { reassignTo } = req.query
+
+        await stages.ensureDefaultStages(userId)
+        const stage = await PipelineStage.findOne({ user: userId, key })
+
+        if (!stage) {
+            return res.status(404).json({
+                message: 'Stage not found',
+            })
+        }
+
+        const remaining = await PipelineStage.countDocuments({ user: userId, archivedAt: null, key: { $ne: key } })
+
+        if (remaining === 0) {
+            return res.status(400).json({
+                message: 'The last stage on the board cannot be deleted',
+            })
+        }
+
+        // === REASSIGN APPLICATIONS ===
+        // (including archived and trashed ones, see countApplications)
+        const inStage = await JobApplication.countDocuments({ user: userId, status: key })
+
+        if (inStage > 0 && !reassignTo) {
+            return res.status(409).json({
+                message: `${inStage} application(s) are in this stage. Choose a stage to move them to with ?reassignTo=`,
+                applicationCount: inStage,
+            })
+        }
+
+        let replacement = null
+        let moved = 0
+
+        if (reassignTo) {
+            replacement = reassignTo === key
+                ? null
+                : await PipelineStage.findOne({ user: userId, key: reassignTo, archivedAt: null })
+
+            if (!replacement) {
+                return res.status(400).json({
+                    message: 'reassignTo must be another stage that is not archived',
+                })
+            }
+        }
+
+        // Delete the stage before moving anything, so no application can be
+        // put in it any more, then move what is there (again, if a request
+        // that checked the stage before it went saves afterwards)
+        await PipelineStage.deleteOne({ _id: stage._id })
+
+        if (replacement) {
+            let batch
+
+            do {
+                batch = await stages.moveApplications(userId, key, replacement.key, {
+                    note: `Stage "${stage.name}" was deleted`,
+                }, req)
+                moved += batch
+            } while (batch > 0)
+        } else if (await JobApplication.exists({ user: userId, status: key })) {
+            // An application was moved into the stage since it was counted
+            await PipelineStage.create(stage.toObject())
+
+            console.log('409 - Application moved into a stage being deleted')
+            return res.status(409).json({
+                message: 'An application was just moved into this stage. Choose a stage to move it to with ?reassignTo=',
+                applicationCount: await JobApplication.countDocuments({ user: userId, status: key }),
+            })
+        }
+
+        await stages.replaceDefaultStatus(userId, key, replacement && replacement.key)
+
+        console.log('200 - Pipeline stage deleted')
+        res.status(200).json({
+            message: 'Stage deleted successfully',
+            movedApplications: moved,
+        })
+    } catch (err) {
+        console.error('Error deleting pipeline stage:', err)
+        res.status(500).json({
+            message: 'Error deleting pipeline stage',
+            error: err.message,
+        })
+    }
+})
+
+// Export this router so server.js can use it
+module.exports = router
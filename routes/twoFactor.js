@@ -0,0 +1,376 @@
+/* ==============================
+   TWO-FACTOR AUTH ROUTES
+   TOTP enrolment from the user's profile, and the second step of
+   sign in. Mounted in server.js as:
+   app.use('/auth/2fa', twoFactorRouter)
+
+   Enrolment:  POST /auth/2fa/setup -> POST /auth/2fa/enable
+   Sign in:    POST /auth/signin (returns challengeToken) -> POST /auth/2fa/verify
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const express = require('express')
+
+// Create a new router (mini Express app just for /auth/2fa)
+const router = express.Router()
+
+// Used to verify passwords and challenge tokens
+const Utils = require('../Utils')
+
+// Import User model (blueprint for user data) to interact with MongoDB
+const User = require('../models/User')
+
+// TOTP secrets, codes and recovery codes
+const totp = require('../services/totp')
+
+// Issues access + refresh tokens once both factors are checked
+const { issueSession } = require('../services/session')
+
+// Shared JWT authentication middleware
+const { authenticate, requireSessionToken, getAuthUserId } = require('../middleware/auth')
+
+// Audit log of 2FA changes and sign-ins
+const { AUDIT_ACTIONS, recordAudit } = require('../services/audit')
+
+// Brute-force protection for the code step
+const { limiter, RULES, signinKeys, sendTooManyRequests } = require('../limiter')
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+/* Check a TOTP code or a recovery code against the user's 2FA settings.
+   On success the code is used up in the database straight away
+   (lastUsedStep moves on, or the recovery code is removed). Each write
+   only matches while the code is still unused, so two requests sending
+   the same code at once can't both pass.
+   Returns { valid, usedRecoveryCode, recoveryCodesRemaining } */
+async function checkSecondFactor(user, { code, recoveryCode }) {
+    const twoFactor = user.twoFactor
+
+    if (code) {
+        const step = totp.verifyCode(
+            totp.decryptSecret(twoFactor.secret),
+            code,
+            twoFactor.lastUsedStep ?? -1
+        )
+
+        if (step !== null) {
+            const result = await User.updateOne(
+                { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            )
+
+            if (result.modifiedCount === 1) {
+                return { valid: true, usedRecoveryCode: false }
+            }
+        }
+    }
+
+    if (recoveryCode) {
+        const hash = totp.hashRecoveryCode(recoveryCode)
+
+        if ((twoFactor.recoveryCodes || []).includes(hash)) {
+            const updated = await User.findOneAndUpdate(
+                { _id: user._id, 'twoFactor.recoveryCodes': hash },
+                { $pull: { 'twoFactor.recoveryCodes': hash } },
+                { new: true }
+            ).select('twoFactor.recoveryCodes')
+
+            if (updated) {
+                return {
+                    valid: true,
+                    usedRecoveryCode: true,
+                    recoveryCodesRemaining: updated.twoFactor.recoveryCodes.length,
+                }
+            }
+        }
+    }
+
+    return { valid: false, usedRecoveryCode: false }
+}
+
+// Load the signed-in user, or send 404 and return null
+async function findAuthUser(req, res) {
+    const user = await User.findById(getAuthUserId(req))
+
+    if (!user) {
+        res.status(404).json({
+            message: 'User not found',
+        })
+        return null
+    }
+
+    return user
+}
+
+/* ==============================
+   POST /auth/2fa/setup
+   Start enrolment: create a secret and return it with an otpauth:// URI
+   for the frontend to show as a QR code. Nothing changes at sign in
+   until the secret is confirmed with POST /auth/2fa/enable
+  ============================== */
+router.post('/setup', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const user = await findAuthUser(req, res)
+        if (!user) return
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({
+                message: 'Two-factor authentication is already enabled',
+            })
+        }
+
+        const secret = totp.generateSecret()
+
+        user.twoFactor.pendingSecret = totp.encryptSecret(secret)
+        await user.save()
+
+        res.status(200).json({
+            secret,
+            otpauthUri: totp.buildOtpauthUri(secret, user.email),
+        })
+    } catch (err) {
+        console.error('Error setting up two-factor authentication:', err)
+        res.status(500).json({
+            message: 'Error setting up two-factor authentication',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/2fa/enable
+   Finish enrolment with the first code from the authenticator app.
+   Body: { code: "123456" }
+   Returns the recovery codes - the only time they are shown
+  ============================== */
+router.post('/enable', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const user = await findAuthUser(req, res)
+        if (!user) return
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({
+                message: 'Two-factor authentication is already enabled',
+            })
+        }
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                message: 'Start two-factor setup first',
+            })
+        }
+
+        // Check the code against the secret waiting to be confirmed
+        const secret = totp.decryptSecret(user.twoFactor.pendingSecret)
+        const step = totp.verifyCode(secret, req.body.code)
+
+        if (step === null) {
+            return res.status(400).json({
+                message: 'Invalid code',
+            })
+        }
+
+        const { codes, hashes } = totp.generateRecoveryCodes()
+
+        user.twoFactor.enabled = true
+        user.twoFactor.secret = user.twoFactor.pendingSecret
+        user.twoFactor.pendingSecret = undefined
+        user.twoFactor.lastUsedStep = step
+        user.twoFactor.recoveryCodes = hashes
+        user.twoFactor.enabledAt = new Date()
+        await user.save()
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.TWO_FACTOR_ENABLED, target: user })
+
+        console.log('200 - Two-factor authentication enabled')
+        res.status(200).json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes,
+        })
+    } catch (err) {
+        console.error('Error enabling two-factor authentication:', err)
+        res.status(500).json({
+            message: 'Error enabling two-factor authentication',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/2fa/disable
+   Turn 2FA off. Needs the password and a current code (or a recovery code)
+   Body: { password, code } or { password, recoveryCode }
+  ============================== */
+router.post('/disable', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const user = await findAuthUser(req, res)
+        if (!user) return
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+            })
+        }
+
+        // The code is only checked (and used up) once the password is right
+        const validPassword = await Utils.verifyPassword(req.body.password, user.password)
+        const { valid } = validPassword ? await checkSecondFactor(user, req.body) : { valid: false }
+
+        if (!validPassword || !valid) {
+            return res.status(400).json({
+                message: 'Password or code is incorrect',
+            })
+        }
+
+        user.twoFactor = { enabled: false }
+        await user.save()
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.TWO_FACTOR_DISABLED, target: user })
+
+        console.log('200 - Two-factor authentication disabled')
+        res.status(200).json({
+            message: 'Two-factor authentication disabled',
+        })
+    } catch (err) {
+        console.error('Error disabling two-factor authentication:', err)
+        res.status(500).json({
+            message: 'Error disabling two-factor authentication',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/2fa/recovery-codes
+   Replace all recovery codes with a new set. Needs a current code
+   Body: { code: "123456" }
+  ============================== */
+router.post('/recovery-codes', authenticate, requireSessionToken, async (req, res) => {
+    try {
+        const user = await findAuthUser(req, res)
+        if (!user) return
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+            })
+        }
+
+        // Only a TOTP code is accepted here, not a recovery code
+        const { valid } = await checkSecondFactor(user, { code: req.body.code })
+
+        if (!valid) {
+            return res.status(400).json({
+                message: 'Invalid code',
+            })
+        }
+
+        const { codes, hashes } = totp.generateRecoveryCodes()
+
+        user.twoFactor.recoveryCodes = hashes
+        await user.save()
+
+        res.status(200).json({
+            message: 'Recovery codes regenerated',
+            recoveryCodes: codes,
+        })
+    } catch (err) {
+        console.error('Error regenerating recovery codes:', err)
+        res.status(500).json({
+            message: 'Error regenerating recovery codes',
+            error: err.message,
+        })
+    }
+})
+
+/* ==============================
+   POST /auth/2fa/verify
+   Second step of sign in: exchange the challenge token from
+   /auth/signin plus a code (or recovery code) for real tokens
+   Body: { challengeToken, code } or { challengeToken, recoveryCode }
+  ============================== */
+router.post('/verify', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body
+
+        // === VALIDATE INPUT ===
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                message: 'Challenge token and code are required',
+            })
+        }
+
+        // === CHECK CHALLENGE TOKEN ===
+        const challenge = Utils.verifyChallengeToken(challengeToken)
+        const user = challenge ? await User.findById(challenge.userId) : null
+
+        // The challenge is void if the user's tokens were revoked since
+        if (!user || !user.twoFactor.enabled || (user.tokenVersion || 0) !== challenge.tokenVersion) {
+            return res.status(401).json({
+                message: 'Sign in has expired, please sign in again',
+            })
+        }
+
+        // === RATE LIMIT ===
+        // Wrong codes count towards the same lockout as wrong passwords
+        const keys = signinKeys(req.ip, user.email)
+        const limit = await limiter.check([keys.ip, keys.account])
+
+        if (!limit.allowed) {
+            console.log('429 - Too many 2FA attempts')
+            return sendTooManyRequests(res, limit.retryAfterSeconds)
+        }
+
+        // === CHECK CODE ===
+        const { valid, usedRecoveryCode, recoveryCodesRemaining } = await checkSecondFactor(user, { code, recoveryCode })
+
+        if (!valid) {
+            console.log('400 - Invalid 2FA code')
+
+            await limiter.record(keys.ip, RULES.signinIp)
+            await limiter.record(keys.account, RULES.signinAccount)
+
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.SIGNIN_FAILED,
+                actor: null,
+                target: user,
+                metadata: { email: user.email, reason: 'invalid-2fa-code' },
+            })
+
+            return res.status(400).json({
+                message: 'Invalid code',
+            })
+        }
+
+        await limiter.reset(keys.account)
+
+        // === GENERATE TOKENS ===
+        const session = await issueSession(user, req)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.SIGNIN,
+            actor: user,
+            target: user,
+            metadata: { method: usedRecoveryCode ? '2fa-recovery-code' : '2fa' },
+        })
+
+        console.log('200 - Successfully logged in with 2FA')
+        res.status(200).json({
+            ...session,
+            // Let the frontend warn when recovery codes are running out
+            recoveryCodesRemaining,
+        })
+    } catch (err) {
+        console.error('Error verifying two-factor code:', err)
+        res.status(500).json({
+            message: 'Error verifying two-factor code',
+            error: err.message,
+        })
+    }
+})
+
+// Export this router so server.js can use it
+module.exports = router
@@ -6,6 +6,7 @@
 /* ======== DEPENDENCIES ======= */
 
 const express = require('express')
+const mongoose = require('mongoose')
 
 // Create a new router (mini Express app just for /user)
 const router = express.Router()
@@ -13,26 +14,195 @@ const router = express.Router()
 // Import User model (blueprint for user data) to interact with MongoDB
 const User = require('../models/User')
 
+// Starts a session straight after sign up, and ends sessions on password change
+const { issueSession, endAllSessions } = require('../services/session')
+
+// Import Settings model (admin-configurable options like requireEmailVerification)
+const Settings = require('../models/Settings')
+
+// Sends verification links after sign up and email changes
+const { sendVerificationEmail, requestEmailChange } = require('../services/emailVerification')
+
+// Soft delete (DELETE /user/:id)
+const { softDeleteUser } = require('../services/accountDeletion')
+
+// Sign up and email changes both say when an address is already
+// registered, so they are rate limited (per IP / per account)
+const { limiter } = require('../limiter')
+
+// Audit log of profile, role and account changes
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../services/audit')
+
+// Personal data export (GET /user/:id/export)
+const DataExport = require('../models/DataExport')
+const dataExport = require('../services/dataExport')
+
 // Below dependencies are for handling avatar image files
-const path = require('path')
-const fs = require('fs')
 const multer = require('multer')
-const sharp = require('sharp')
+const { AVATAR_MAX_BYTES, processAvatar, removeAvatarFiles } = require('../services/avatar')
+
+// Password policy and hashing
 const Utils = require('../Utils')
 
-// multer will temporarily store uploaded avatar images in uploads/
-const upload = multer({dest: 'uploads/'})
+// Ownership / permission checks (the JWT itself is verified in server.js)
+const { requirePermission, requireSelfOr, hasPermission, getAuthUserId, requireScope, requireSessionToken, isPersonalAccessToken } = require('../middleware/auth')
+
+// Named roles and the permissions they grant
+const { PERMISSIONS, DEFAULT_ROLE, isValidRole } = require('../config/roles')
+const { SCOPES } = require('../config/scopes')
+const { validatePreferences } = require('../config/preferences')
+const { usableStageKeys } = require('../services/pipelineStages')
+
+// Every user in a response goes through the serializer (no password hashes etc.)
+const { serializeUser, serializePreferences, userViewFor } = require('../serializers/user')
+const { parseFields } = require('../serializers/fields')
+
+// Page / limit / sort parsing and Link headers for GET /user
+const { parsePagination, parseSort, buildPaginationMeta, setLinkHeader, escapeRegExp } = require('../services/pagination')
+
+// Fields the user directory can be sorted on (each has an index, see models/User.js)
+const USER_SORT_FIELDS = ['createdAt', 'email', 'firstName', 'lastName', 'role']
+
+// Fields PUT /user/:id compares before and after for the audit log
+const AUDITED_PROFILE_FIELDS = ['firstName', 'lastName', 'bio', 'role']
+
+// PUT /user/:id answers 409 when the new email belongs to someone else,
+// so only so many email changes per signed-in account are allowed
+const emailChangeLimit = limiter.rateLimit('lookupAccount', (req) => getAuthUserId(req))
+
+function limitEmailChanges(req, res, next) {
+    if (!req.body || req.body.email === undefined) return next()
+    return emailChangeLimit(req, res, next)
+}
+
+// multer keeps the uploaded avatar in memory (it is never written to disk
+// as-is) and refuses anything over AVATAR_MAX_MB
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+})
+
+// upload.single('avatar'), with multer's errors (file too big etc.) sent as JSON
+function uploadAvatar(req, res, next) {
+    upload.single('avatar')(req, res, (err) => {
+        if (!err) return next()
+
+        if (err instanceof multer.MulterError) {
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE'
+
+            console.log(`${tooLarge ? 413 : 400} - Rejected avatar upload:`, err.message)
+            return res.status(tooLarge ? 413 : 400).json({
+                message: tooLarge
+                    ? `Avatar images must be ${AVATAR_MAX_BYTES / 1024 / 1024} MB or smaller`
+                    : err.message,
+            })
+        }
+
+        next(err)
+    })
+}
 
 /* ==============================
    GET /user
-   Get all users from the database
+   Admin user directory (needs users:list). All query parameters are optional:
+   - page, limit        pagination (limit 1-100, default 20)
+   - q                  case-insensitive search across first name, last name and email
+   - email              exact email match (replaces GET /user/email/:email)
+   - role               user / coach / admin
+   - newUser            true / false
+   - createdFrom, createdTo   creation date range (ISO dates, inclusive)
+   - deleted            true to list deleted accounts still in their grace period
+                        (deleted accounts are left out otherwise)
+   - sort               createdAt, email, firstName, lastName or role; prefix with - for descending
+   - fields             e.g. fields=firstName,email
+   Returns { users, pagination } plus a Link header
+   Example: GET /user?q=smith&role=coach&sort=-createdAt&page=2
   ============================== */
-router.get('/', async (req, res) => {
+router.get('/', requireSessionToken, requirePermission(PERMISSIONS.USERS_LIST), async (req, res) => {
     try {
-        // === FETCH USERS ===
-        const users = await User.find()
+        const { q, email, role, newUser, createdFrom, createdTo, deleted } = req.query
+
+        // === PAGINATION + SORT ===
+        const pagination = parsePagination(req.query)
+        const sorting = parseSort(req.query.sort, USER_SORT_FIELDS, '-createdAt')
+        const invalid = pagination.error || sorting.error
+
+        if (invalid) {
+            return res.status(400).json({
+                message: invalid,
+            })
+        }
+
+        // === FILTERS ===
+        const filter = {
+            deletedAt: deleted === 'true' ? { $ne: null } : null,
+        }
+
+        if (email) {
+            filter.email = String(email).trim().toLowerCase()
+        }
+
+        if (role) {
+            if (!isValidRole(role)) {
+                return res.status(400).json({
+                    message: 'Invalid role',
+                })
+            }
+            filter.role = role
+        }
+
+        if (newUser !== undefined) {
+            if (newUser !== 'true' && newUser !== 'false') {
+                return res.status(400).json({
+                    message: 'newUser must be true or false',
+                })
+            }
+            // newUser is stored as preferences.onboarding.welcome (not yet seen)
+            filter['preferences.onboarding.welcome'] = newUser === 'true' ? { $ne: true } : true
+        }
 
-        res.status(200).json(users)
+        if (createdFrom || createdTo) {
+            filter.createdAt = {}
+
+            for (const [param, operator] of [[createdFrom, '$gte'], [createdTo, '$lte']]) {
+                if (!param) continue
+
+                const date = new Date(param)
+                if (isNaN(date.getTime())) {
+                    return res.status(400).json({
+                        message: 'createdFrom and createdTo must be valid dates',
+                    })
+                }
+                filter.createdAt[operator] = date
+            }
+        }
+
+        // Every word has to match the first name, last name or email,
+        // so "jane smi" finds Jane Smith
+        if (q && String(q).trim()) {
+            filter.$and = String(q).trim().split(/\s+/).map((word) => {
+                const pattern = new RegExp(escapeRegExp(word), 'i')
+                return { $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }] }
+            })
+        }
+
+        // === FETCH USERS ===
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .sort(sorting.sort)
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            User.countDocuments(filter),
+        ])
+
+        const meta = buildPaginationMeta({ page: pagination.page, limit: pagination.limit, total })
+        const fields = parseFields(req.query)
+
+        setLinkHeader(req, res, meta)
+        res.status(200).json({
+            users: users.map((user) => serializeUser(user, { view: 'admin', fields })),
+            pagination: meta,
+        })
     } catch (err) {
         console.error('Error finding users:', err)
         res.status(500).json({
@@ -43,51 +213,120 @@ router.get('/', async (req, res) => {
 })
 
 /* ===============================================
-   GET /user/email/:email
-   Retrieve a single user from MongoDB by their email
+   GET /user/:id
+   Retrieve a single user from MongoDB by their ID
   ================================================= */
-router.get('/email/:email', async (req, res) => {
+router.get('/:id', requireScope(SCOPES.PROFILE_READ), requireSelfOr(PERMISSIONS.USERS_READ_ANY), async (req, res) => {
     try {
-        // Find a user whose email matches the route parameter
-        const user = await User.findOne({email: req.params.email})
+        const user = await User.findById(req.params.id)
 
-        // If no user is found, return 404
         if (!user) {
+            return res.status(400).json({
+                message: 'User does not exist',
+            })
+        }
+        res.json(serializeUser(user, {
+            view: userViewFor(req, user._id),
+            fields: parseFields(req.query),
+        }))
+    } catch (err) {
+        console.error('Error finding user:', err)
+        res.status(500).json({
+            message: 'Error finding user',
+            error: err.message,
+        })
+    }
+})
+
+/* ===============================================
+   GET /user/:id/export
+   Download everything a user has tracked as a ZIP (profile, applications
+   as JSON and CSV, avatar, documents and a manifest).
+   Small exports are sent straight back. Bigger ones (or ?background=true)
+   are built in the background: the response is 202 with a status URL to
+   poll, which gives a download link once the ZIP is ready
+  ================================================= */
+router.get('/:id/export', requireSessionToken, requireSelfOr(PERMISSIONS.USERS_READ_ANY), async (req, res) => {
+    try {
+        // An id that can't be a user's is simply not found
+        const data = mongoose.isValidObjectId(req.params.id)
+            ? await dataExport.collectExport(req.params.id)
+            : null
+
+        if (!data) {
             return res.status(404).json({
-                message: 'User not found for that email address',
+                message: 'User not found',
             })
         }
 
-        // Return the full user document
-        res.status(200).json(user)
+        // === BACKGROUND EXPORT ===
+        if (req.query.background === 'true' || !dataExport.canExportNow(data)) {
+            const queued = await dataExport.startBackgroundExport(data.user._id, getAuthUserId(req))
+
+            console.log('202 - Data export queued')
+            return res.status(202).json({
+                message: 'Your export is being prepared',
+                exportId: queued.id,
+                status: queued.status,
+                statusUrl: `${req.baseUrl}/${data.user.id}/export/${queued.id}`,
+            })
+        }
+
+        // === STREAM EXPORT ===
+        res.attachment(dataExport.downloadFileName())
+        await dataExport.writeArchive(data, res)
     } catch (err) {
-        console.error('Error finding user by email:', err)
+        console.error('Error exporting user data:', err)
+
+        // Once the ZIP has started there is no way to send JSON any more
+        if (res.headersSent) return res.destroy(err)
 
         res.status(500).json({
-            message: 'Error finding user by email',
+            message: 'Error exporting user data',
             error: err.message,
         })
     }
 })
 
 /* ===============================================
-   GET /user/:id
-   Retrieve a single user from MongoDB by their ID
+   GET /user/:id/export/:exportId
+   Status of a background export. Once it is ready the response includes
+   a download link that works for a few minutes (ask again for a new one)
   ================================================= */
-router.get('/:id', async (req, res) => {
+router.get('/:id/export/:exportId', requireSessionToken, requireSelfOr(PERMISSIONS.USERS_READ_ANY), async (req, res) => {
     try {
-        const user = await User.findById(req.params.id)
+        const found = mongoose.isValidObjectId(req.params.exportId) && mongoose.isValidObjectId(req.params.id)
+            ? await DataExport.findOne({ _id: req.params.exportId, user: req.params.id })
+            : null
 
-        if (!user) {
-            return res.status(400).json({
-                message: 'User does not exist',
+        if (!found) {
+            return res.status(404).json({
+                message: 'Export not found',
             })
         }
-        res.json(user)
+
+        const response = {
+            exportId: found.id,
+            status: found.status,
+            createdAt: found.createdAt,
+            completedAt: found.completedAt,
+            size: found.size,
+            error: found.error,
+        }
+
+        if (found.status === 'ready') {
+            const link = dataExport.downloadLinkFor(found)
+
+            response.downloadUrl = `${req.protocol}://${req.get('host')}/exports/${link.token}`
+            response.downloadExpiresAt = link.expiresAt
+            response.expiresAt = found.expiresAt
+        }
+
+        res.status(200).json(response)
     } catch (err) {
-        console.error('Error finding user:', err)
+        console.error('Error finding data export:', err)
         res.status(500).json({
-            message: 'Error finding user',
+            message: 'Error finding data export',
             error: err.message,
         })
     }
@@ -95,11 +334,15 @@ router.get('/:id', async (req, res) => {
 
 /* ====================================
    POST /user
-   Create a new user and save to MongoDB
+   Create a new user and save to MongoDB.
+   Rate limited per IP: "Email is already in use" tells whether an
+   address is registered (so does an email change, see PUT /user/:id)
   ==================================== */
-router.post('/', async (req, res) => {
+router.post('/', limiter.rateLimit('lookupIp'), async (req, res) => {
     try {
-        const {firstName, lastName, email, password, accessLevel, bio} = req.body
+        // role / accessLevel are deliberately NOT read from the body - new
+        // accounts are always regular users (see scripts/create-admin.js)
+        const {firstName, lastName, email, password, bio} = req.body
 
         // === VALIDATE INPUT ===
         if (!firstName || !lastName || !email || !password) {
@@ -108,6 +351,14 @@ router.post('/', async (req, res) => {
             })
         }
 
+        // === CHECK PASSWORD POLICY ===
+        const passwordError = Utils.validatePassword(password)
+        if (passwordError) {
+            return res.status(400).json({
+                message: passwordError,
+            })
+        }
+
         // === CHECK FOR EXISTING USER ===
         const existingUser = await User.findOne({email})
         if (existingUser) {
@@ -123,32 +374,45 @@ router.post('/', async (req, res) => {
             email,
             password,
             bio: bio || '',
-            accessLevel: accessLevel || 1, // Default regular user
-            avatar: '',                    // Empty avatar initially
-            newUser: true,                 // Used later for guide screen
+            role: DEFAULT_ROLE,            // Always a regular user
+            avatar: null,                  // No avatar initially
         })
 
         // === SAVE USER TO DATABASE ===
         const savedUser = await newUserDoc.save()
 
-        // === CREATE JWT TOKEN PAYLOAD ===
-        const userObject = {
-            id: savedUser.id,
-            firstName: savedUser.firstName,
-            lastName: savedUser.lastName,
-            email: savedUser.email,
-            bio: savedUser.bio || '',
-            accessLevel: savedUser.accessLevel,
-            avatar: savedUser.avatar,
-            newUser: savedUser.newUser,
+        // === SEND VERIFICATION EMAIL ===
+        await sendVerificationEmail(savedUser)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_CREATED,
+            actor: savedUser,
+            target: savedUser,
+            metadata: { via: 'signup' },
+        })
+
+        const userObject = serializeUser(savedUser, { view: 'self' })
+
+        // When admins require verified emails, the user can only sign in
+        // after opening the link, so don't start a session yet
+        const settings = await Settings.current()
+
+        if (settings.requireEmailVerification) {
+            console.log('201 - User created, waiting for email verification')
+            return res.status(201).json({
+                message: 'User created successfully. Please check your email to verify your account',
+                user: userObject,
+            })
         }
 
-        const token = Utils.generateAccessToken(userObject)
+        // Record the sign-up as the user's first session
+        const { token, refreshToken } = await issueSession(savedUser, req)
 
         console.log('200 - User created successfully')
         res.status(201).json({
             message: 'User created successfully',
             token: token,
+            refreshToken: refreshToken,
             user: userObject,
         })
     } catch (err) {
@@ -162,9 +426,11 @@ router.post('/', async (req, res) => {
 
 /* ======================================
    DELETE /user/:id
-   Delete a user from MongoDB by their ID
+   Delete an account. This is a soft delete: the account can be restored
+   during the grace period (restore link in the email, or
+   POST /admin/users/:id/restore), then it is purged with all its data
   ====================================== */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireSessionToken, requireSelfOr(PERMISSIONS.USERS_DELETE_ANY), async (req, res) => {
     try {
         if (!req.params.id) {
             return res.status(400).json({
@@ -172,16 +438,26 @@ router.delete('/:id', async (req, res) => {
             })
         }
 
-        const deletedUser = await User.findOneAndDelete({_id: req.params.id})
+        const user = await User.findOne({ _id: req.params.id, deletedAt: null })
 
-        if (!deletedUser) {
+        if (!user) {
             return res.status(404).json({
                 message: 'User not found',
             })
         }
 
+        const purgeAt = await softDeleteUser(user)
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_DELETED,
+            target: user,
+            metadata: { purgeAt },
+        })
+
+        console.log('200 - User deleted, purge scheduled for', purgeAt.toISOString())
         res.json({
             message: 'User deleted successfully',
+            purgeAt,
         })
     } catch (err) {
         console.error('Error deleting user:', err)
@@ -194,9 +470,10 @@ router.delete('/:id', async (req, res) => {
 
 /* =============================================
    PUT /user/:id
-   Update an existing user in MongoDB by their ID
+   Update an existing user in MongoDB by their ID.
+   Requests that change the email are rate limited per account
   ============================================== */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope(SCOPES.PROFILE_WRITE), requireSelfOr(PERMISSIONS.USERS_UPDATE_ANY), limitEmailChanges, async (req, res) => {
     try {
         if (!req.body) {
             return res.status(400).json({
@@ -204,6 +481,14 @@ router.put('/:id', async (req, res) => {
             })
         }
 
+        // Email, password and role changes need a normal sign-in, not a
+        // personal access token
+        if (isPersonalAccessToken(req) && ['email', 'password', 'role'].some((field) => req.body[field] !== undefined)) {
+            return res.status(403).json({
+                message: 'Personal access tokens cannot change email, password or role',
+            })
+        }
+
         // Build updates object field-by-field so nothing is accidentally
         // overwritten with undefined or an empty string.
         const updates = {}
@@ -216,26 +501,103 @@ router.put('/:id', async (req, res) => {
             updates.lastName = req.body.lastName
         }
 
-        if (req.body.email !== undefined) {
-            updates.email = req.body.email
+        // Email changes are not applied straight away - the new address is
+        // kept as pendingEmail until it is confirmed (see below)
+        const newEmail = req.body.email !== undefined ? String(req.body.email).trim().toLowerCase() : undefined
+
+        // Same format check as sign up (the schema's email type)
+        if (newEmail && new User({ email: newEmail }).validateSync(['email'])) {
+            return res.status(400).json({
+                message: 'Email must be a valid email address',
+            })
         }
 
         if (req.body.bio !== undefined) {
             updates.bio = req.body.bio
         }
 
-        if (req.body.accessLevel !== undefined) {
-            updates.accessLevel = req.body.accessLevel
+        // Only users with users:roles (admins) may change a role
+        if (req.body.role !== undefined) {
+            if (!hasPermission(req, PERMISSIONS.USERS_MANAGE_ROLES)) {
+                return res.status(403).json({
+                    message: 'You do not have permission to change roles',
+                })
+            }
+
+            if (!isValidRole(req.body.role)) {
+                return res.status(400).json({
+                    message: 'Invalid role',
+                })
+            }
+
+            updates.role = req.body.role
         }
 
+        // Legacy flag, now stored as preferences.onboarding.welcome
         if (req.body.newUser !== undefined) {
-            updates.newUser = req.body.newUser
+            updates['preferences.onboarding.welcome'] = !req.body.newUser
         }
 
         // Only update password if a non-empty value was provided
         // (e.g. admin typed a new password in the form)
-        if (req.body.password && req.body.password.trim() !== '') {
-            updates.password = req.body.password
+        // findByIdAndUpdate skips the pre-save middleware, so hash it here.
+        // Anything that isn't text is left to validatePassword to refuse
+        const { password } = req.body
+        const passwordBlank = password === undefined || password === null || (typeof password === 'string' && password.trim() === '')
+
+        if (!passwordBlank) {
+            const passwordError = Utils.validatePassword(req.body.password)
+            if (passwordError) {
+                return res.status(400).json({
+                    message: passwordError,
+                })
+            }
+
+            updates.password = await Utils.hashPassword(req.body.password)
+        }
+
+        // Refuse an email address that already belongs to another account
+        if (newEmail) {
+            const existingUser = await User.exists({ email: newEmail, _id: { $ne: req.params.id } })
+
+            if (existingUser) {
+                return res.status(409).json({
+                    message: 'Email is already in use',
+                })
+            }
+        }
+
+        // === EMAIL CHANGE ===
+        // Done before anything else is saved, so if it fails the account is
+        // left as it was. Sends a confirmation link to the new address and
+        // a notice to the old one
+        let emailChangePending = false
+
+        if (newEmail) {
+            const current = await User.findById(req.params.id)
+
+            if (!current) {
+                return res.status(404).json({
+                    message: 'User not found',
+                })
+            }
+
+            if (newEmail !== current.email) {
+                await requestEmailChange(current, newEmail)
+                emailChangePending = true
+            }
+        }
+
+        // The user before the change, for the audit log and the role check below
+        const previous = await User.findById(req.params.id).select(AUDITED_PROFILE_FIELDS.join(' '))
+
+        // A role change takes effect immediately: bump tokenVersion so the
+        // user's existing access tokens (which carry the old role) are rejected.
+        // A new password also ends every existing session
+        const roleChanged = Boolean(previous) && updates.role !== undefined && previous.role !== updates.role
+
+        if (roleChanged || updates.password) {
+            updates.$inc = { tokenVersion: 1 }
         }
 
         const user = await User.findByIdAndUpdate(req.params.id, updates, {
@@ -248,19 +610,48 @@ router.put('/:id', async (req, res) => {
             })
         }
 
-        const userObject = {
-            id: user.id,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            email: user.email,
-            bio: user.bio || '',
-            accessLevel: user.accessLevel,
-            newUser: user.newUser,
-            avatar: user.avatar,
+        if (updates.password) {
+            await endAllSessions(user._id)
+        }
+
+        // === AUDIT LOG ===
+        if (roleChanged) {
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.ROLE_CHANGED,
+                target: user,
+                // accessLevel is derived from role, so it is logged alongside it
+                changes: diffChanges(previous, user, ['role', 'accessLevel']),
+            })
+        }
+
+        if (updates.password) {
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+                target: user,
+                changes: [{ field: 'password' }],
+            })
+        }
+
+        const profileChanges = diffChanges(previous, user, AUDITED_PROFILE_FIELDS.filter((field) => field !== 'role'))
+
+        if (emailChangePending) {
+            profileChanges.push({ field: 'pendingEmail', from: null, to: newEmail })
+        }
+
+        if (profileChanges.length > 0) {
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.USER_UPDATED,
+                target: user,
+                changes: profileChanges,
+            })
         }
 
+        const userObject = serializeUser(user, { view: userViewFor(req, user._id) })
+
         res.status(200).json({
-            message: 'User updated successfully',
+            message: emailChangePending
+                ? 'User updated successfully. Please confirm the new email address to finish changing it'
+                : 'User updated successfully',
             user: userObject,
         })
     } catch (err) {
@@ -273,12 +664,88 @@ router.put('/:id', async (req, res) => {
     }
 })
 
+/* ===============================================
+   GET /user/:id/preferences
+   The user's settings (time zone, locale, salary defaults, default board
+   status, notification emails and first-time guides), with defaults
+   filled in for anything never set
+  ================================================= */
+router.get('/:id/preferences', requireScope(SCOPES.PROFILE_READ), requireSelfOr(PERMISSIONS.USERS_READ_ANY), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('preferences')
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        res.status(200).json(serializePreferences(user))
+    } catch (err) {
+        console.error('Error finding preferences:', err)
+        res.status(500).json({
+            message: 'Error finding preferences',
+            error: err.message,
+        })
+    }
+})
+
+/* ===============================================
+   PATCH /user/:id/preferences
+   Change some settings - anything not sent is left as it is.
+   Example body: { "timezone": "Europe/London", "notifications": { "weeklySummary": true } }
+  ================================================= */
+router.patch('/:id/preferences', requireScope(SCOPES.PROFILE_WRITE), requireSelfOr(PERMISSIONS.USERS_UPDATE_ANY), async (req, res) => {
+    try {
+        if (!(await User.exists({ _id: req.params.id }))) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        // === VALIDATE INPUT ===
+        // defaultStatus has to be one of the user's own stages
+        const stageKeys = await usableStageKeys(req.params.id)
+        const { updates, error } = validatePreferences(req.body, { stageKeys })
+
+        if (error) {
+            return res.status(400).json({
+                message: error,
+            })
+        }
+
+        // === SAVE ===
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).select('preferences')
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+            })
+        }
+
+        res.status(200).json({
+            message: 'Preferences updated successfully',
+            preferences: serializePreferences(user),
+        })
+    } catch (err) {
+        console.error('Error updating preferences:', err)
+        res.status(500).json({
+            message: 'Error updating preferences',
+            error: err.message,
+        })
+    }
+})
+
 /* ====================================================
    DELETE /user/:id/avatar
-   Remove a user's avatar image and clear the DB field
+   Remove a user's avatar images and clear the DB field
    Example: DELETE /user/673b46a8.../avatar
   ===================================================== */
-router.delete('/:id/avatar', async (req, res) => {
+router.delete('/:id/avatar', requireScope(SCOPES.PROFILE_WRITE), requireSelfOr(PERMISSIONS.USERS_UPDATE_ANY), async (req, res) => {
     try {
         const user = await User.findById(req.params.id)
         if (!user) {
@@ -287,19 +754,18 @@ router.delete('/:id/avatar', async (req, res) => {
             })
         }
 
-        // If the user currently has an avatar filename, delete the actual file
-        if (user.avatar) {
-            const avatarPath = path.join('public', 'avatars', user.avatar)
+        const oldAvatar = user.avatar
 
-            if (fs.existsSync(avatarPath)) {
-                fs.unlinkSync(avatarPath)
-            }
-        }
-
-        // Clear avatar field
-        user.avatar = ''
+        // Clear avatar field, then delete the files
+        user.avatar = null
         await user.save()
 
+        removeAvatarFiles(oldAvatar)
+
+        if (oldAvatar) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.AVATAR_REMOVED, target: user })
+        }
+
         res.status(200).json({
             message: 'Avatar removed',
         })
@@ -314,10 +780,12 @@ router.delete('/:id/avatar', async (req, res) => {
 
 /* =================================================
    POST /user/:id/avatar
-   Upload or change a user's avatar image
+   Upload or change a user's avatar image (multipart field "avatar").
+   Only real images up to AVATAR_MAX_MB are accepted; every size is
+   generated as WebP and PNG with new file names (see services/avatar.js)
    Example: POST /user/673b46a8.../avatar
   ================================================== */
-router.post('/:id/avatar', upload.single('avatar'), async (req, res) => {
+router.post('/:id/avatar', requireScope(SCOPES.PROFILE_WRITE), requireSelfOr(PERMISSIONS.USERS_UPDATE_ANY), uploadAvatar, async (req, res) => {
     try {
         // No file sent
         if (!req.file) {
@@ -329,40 +797,43 @@ router.post('/:id/avatar', upload.single('avatar'), async (req, res) => {
         // Find the user
         const user = await User.findById(req.params.id)
         if (!user) {
-            // Clean up temp file if user not found
-            if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path)
-
             return res.status(404).json({
                 message: 'User not found',
             })
         }
 
-        // Define final filename (overwrites any existing avatar file for this user)
-        const finalFilename = `user_${user._id}.png`
+        // === PROCESS IMAGE ===
+        const { avatar, error } = await processAvatar(req.file.buffer, user._id)
 
-        // Folder and final path
-        const finalDir = path.join('public', 'avatars')
-        const finalPath = path.join(finalDir, finalFilename)
+        if (error) {
+            console.log('400 - Rejected avatar upload:', error)
+            return res.status(400).json({
+                message: error,
+            })
+        }
 
-        // Ensure avatars folder exists
-        fs.mkdirSync(finalDir, {recursive: true})
+        // === SAVE ===
+        // Old files are removed once the new avatar is stored (unless the
+        // same image was uploaded again - then the file names are the same)
+        const oldAvatar = user.avatar
+        user.avatar = avatar
+        await user.save()
 
-        // Process image with sharp
-        await sharp(req.file.path)
-            .resize(300, 300, {fit: 'cover'})
-            .png()
-            .toFile(finalPath)
+        if (oldAvatar && oldAvatar.hash !== avatar.hash) {
+            removeAvatarFiles(oldAvatar)
+        }
 
-        // Remove temp file
-        if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path)
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.AVATAR_UPDATED,
+            target: user,
+            changes: [{ field: 'avatar', from: oldAvatar ? oldAvatar.hash : null, to: avatar.hash }],
+        })
 
-        // Save filename in DB
-        user.avatar = finalFilename
-        await user.save()
+        const userObject = serializeUser(user, { view: 'self' })
 
         res.status(200).json({
             message: 'Avatar uploaded successfully',
-            filename: finalFilename,
+            avatar: userObject.avatar,
         })
     } catch (err) {
         console.error('Error uploading avatar:', err)
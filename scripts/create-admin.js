@@ -0,0 +1,44 @@
+/* ==============================
+   CREATE ADMIN (CLI)
+   Creates the first admin account, or promotes an existing account.
+
+   Usage:
+   npm run create-admin -- <email> [password] [firstName] [lastName]
+
+   Examples:
+   npm run create-admin -- jane@example.com             (promote existing user)
+   npm run create-admin -- admin@example.com S3cret! Jane Doe
+  ============================== */
+
+// Load variables from the .env file (MONGODB_URI)
+require('dotenv').config()
+
+const mongoose = require('mongoose')
+const { ensureAdmin } = require('../services/adminSeed')
+
+async function main() {
+    const [email, password, firstName, lastName] = process.argv.slice(2)
+
+    if (!email) {
+        console.log('Usage: npm run create-admin -- <email> [password] [firstName] [lastName]')
+        process.exitCode = 1
+        return
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI)
+
+    try {
+        const { user, created, promoted } = await ensureAdmin({ email, password, firstName, lastName })
+
+        if (created) console.log('Admin account created for', user.email)
+        else if (promoted) console.log('Existing account promoted to admin:', user.email)
+        else console.log(user.email, 'is already an admin')
+    } finally {
+        await mongoose.disconnect()
+    }
+}
+
+main().catch((err) => {
+    console.error('Error creating admin:', err.message)
+    process.exitCode = 1
+})
@@ -0,0 +1,31 @@
+/* ==============================
+   PURGE DELETED ACCOUNTS (CLI)
+   Permanently removes every deleted account whose grace period is
+   over, with all its data. The server already does this on a timer;
+   this is for running it by hand or from cron.
+
+   Usage:
+   npm run purge-accounts
+  ============================== */
+
+// Load variables from the .env file (MONGODB_URI)
+require('dotenv').config()
+
+const mongoose = require('mongoose')
+const { purgeDeletedAccounts } = require('../services/accountDeletion')
+
+async function main() {
+    await mongoose.connect(process.env.MONGODB_URI)
+
+    try {
+        const count = await purgeDeletedAccounts()
+        console.log(`Purged ${count} deleted account(s)`)
+    } finally {
+        await mongoose.disconnect()
+    }
+}
+
+main().catch((err) => {
+    console.error('Error purging deleted accounts:', err.message)
+    process.exitCode = 1
+})
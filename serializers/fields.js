@@ -0,0 +1,40 @@
+/* ==============================
+   FIELD SELECTION
+   Shared by the serializers so clients can ask for only some fields,
+   e.g. GET /user/:id?fields=firstName,avatar
+   Fields the current view doesn't allow are ignored, never added
+  ============================== */
+
+/* Read ?fields=a,b,c from a query object.
+   Returns an array of field names, or null when the client wants everything */
+function parseFields(query) {
+    const raw = query && query.fields
+    if (!raw) return null
+
+    const fields = String(raw)
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean)
+
+    return fields.length ? fields : null
+}
+
+/* Build an object from `allowed` fields using getters[field] (or the
+   plain property). When `fields` is given, only those are kept - `id`
+   is always included so the client can tell objects apart */
+function pickFields(source, allowed, getters, fields) {
+    const wanted = fields ? allowed.filter((field) => field === 'id' || fields.includes(field)) : allowed
+    const output = {}
+
+    for (const field of wanted) {
+        const getter = getters[field]
+        output[field] = getter ? getter(source) : source[field]
+    }
+
+    return output
+}
+
+module.exports = {
+    parseFields,
+    pickFields,
+}
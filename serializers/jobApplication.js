@@ -0,0 +1,96 @@
+/* ==============================
+   JOB APPLICATION SERIALIZER
+   Plain API objects for job applications, so responses don't depend
+   on whatever happens to be on the Mongoose document (__v, new
+   internal fields...)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const { pickFields } = require('./fields')
+const { versionOf } = require('../services/etag')
+
+const FIELDS = [
+    'id',
+    '_id',
+    'user',
+    'company',
+    'position',
+    'location',
+    'status',
+    'minSalary',
+    'maxSalary',
+    'dateApplied',
+    'interviewDate',
+    'interviewTime',
+    'jobUrl',
+    'notes',
+    'documents',
+    'tags',
+    'archivedAt',
+    'deletedAt',
+    'purgeAt',
+    'version',
+    'createdAt',
+    'updatedAt',
+]
+
+const GETTERS = {
+    id: (application) => String(application._id),
+    // Kept next to id for clients written against the raw documents
+    _id: (application) => String(application._id),
+    user: (application) => application.user ? String(application.user._id || application.user) : null,
+    documents: (application) => application.documents ? [...application.documents] : [],
+    tags: (application) => application.tags ? [...application.tags] : [],
+    archivedAt: (application) => application.archivedAt || null,
+    deletedAt: (application) => application.deletedAt || null,
+    purgeAt: (application) => application.purgeAt || null,
+    // Same value as the ETag header, to send back as If-Match
+    version: (application) => versionOf(application),
+}
+
+/* ==============================
+   serializeJobApplication(application, { fields })
+   fields is an optional list from ?fields=
+  ============================== */
+function serializeJobApplication(application, { fields = null } = {}) {
+    if (!application) return null
+
+    return pickFields(application, FIELDS, GETTERS, fields)
+}
+
+// Fields of a timeline event (GET /job-application/:id/timeline)
+const EVENT_FIELDS = [
+    'id',
+    'type',
+    'fromStatus',
+    'toStatus',
+    'occurredAt',
+    'recordedAt',
+    'backdated',
+    'note',
+    'actor',
+]
+
+// Recorded more than this long after it happened = backdated
+const BACKDATED_AFTER_MS = 60 * 1000
+
+const EVENT_GETTERS = {
+    id: (event) => String(event._id),
+    recordedAt: (event) => event.createdAt,
+    backdated: (event) => event.type === 'status_changed'
+        && event.createdAt - event.occurredAt > BACKDATED_AFTER_MS,
+    actor: (event) => event.actor ? String(event.actor) : null,
+}
+
+// One event in an application's timeline
+function serializeApplicationEvent(event) {
+    if (!event) return null
+
+    return pickFields(event, EVENT_FIELDS, EVENT_GETTERS, null)
+}
+
+module.exports = {
+    serializeJobApplication,
+    serializeApplicationEvent,
+}
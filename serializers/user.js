@@ -0,0 +1,141 @@
+/* ==============================
+   USER SERIALIZER
+   The only place that decides which User fields the API returns.
+   Secret fields (password hash, 2FA secrets, recovery codes,
+   tokenVersion) are simply not in any view, so they can't leak.
+
+   Views:
+   - public: what anyone signed in may see about another user
+   - self:   the signed-in user's own profile
+   - admin:  what users:read:any (coaches, admins) see
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const { pickFields } = require('./fields')
+const { getAuthUserId, hasPermission } = require('../middleware/auth')
+const { PERMISSIONS } = require('../config/roles')
+
+/* ==============================
+   VIEWS
+  ============================== */
+
+const PUBLIC_FIELDS = ['id', 'firstName', 'lastName', 'avatar', 'bio']
+
+const SELF_FIELDS = [
+    ...PUBLIC_FIELDS,
+    'email',
+    'emailVerified',
+    'pendingEmail',
+    'role',
+    'accessLevel',
+    'newUser',
+    'twoFactorEnabled',
+]
+
+const ADMIN_FIELDS = [
+    ...SELF_FIELDS,
+    'twoFactorEnabledAt',
+    'deletedAt',
+    'purgeAt',
+    'createdAt',
+    'updatedAt',
+]
+
+const VIEWS = {
+    public: PUBLIC_FIELDS,
+    self: SELF_FIELDS,
+    admin: ADMIN_FIELDS,
+}
+
+// Fields that aren't stored as-is on the document
+const GETTERS = {
+    id: (user) => user.id || String(user._id),
+    bio: (user) => user.bio || '',
+    avatar: serializeAvatar,
+    pendingEmail: (user) => user.pendingEmail || '',
+    accessLevel: (user) => user.role === 'admin' ? 1 : 0,
+    twoFactorEnabled: (user) => !!(user.twoFactor && user.twoFactor.enabled),
+    twoFactorEnabledAt: (user) => (user.twoFactor && user.twoFactor.enabledAt) || null,
+    deletedAt: (user) => user.deletedAt || null,
+    purgeAt: (user) => user.purgeAt || null,
+}
+
+/* The avatar with a URL for every variant:
+   { updatedAt, variants: [{ size, format, url }] } or null */
+function serializeAvatar(user) {
+    const avatar = user.avatar
+    if (!avatar) return null
+
+    // Accounts not migrated yet still hold a single file name
+    if (typeof avatar === 'string') {
+        return { updatedAt: null, variants: [{ size: 300, format: 'png', url: `/avatars/${avatar}` }] }
+    }
+
+    return {
+        updatedAt: avatar.updatedAt || null,
+        variants: (avatar.variants || []).map((variant) => ({
+            size: variant.size,
+            format: variant.format,
+            url: `/avatars/${variant.fileName}`,
+        })),
+    }
+}
+
+/* ==============================
+   serializeUser(user, { view, fields })
+   Turn a User document (or lean object) into a plain API object.
+   view defaults to 'public'; fields is an optional list from ?fields=
+  ============================== */
+function serializeUser(user, { view = 'public', fields = null } = {}) {
+    if (!user) return null
+
+    return pickFields(user, VIEWS[view] || PUBLIC_FIELDS, GETTERS, fields)
+}
+
+/* ==============================
+   userViewFor(req, userId)
+   Which view the signed-in user gets of `userId`
+  ============================== */
+function userViewFor(req, userId) {
+    if (hasPermission(req, PERMISSIONS.USERS_READ_ANY)) return 'admin'
+    if (userId && getAuthUserId(req) === String(userId)) return 'self'
+    return 'public'
+}
+
+/* ==============================
+   serializePreferences(user)
+   The user's preferences as a plain object (defaults included)
+  ============================== */
+function serializePreferences(user) {
+    const preferences = user.preferences || {}
+    const notifications = preferences.notifications || {}
+    const onboarding = preferences.onboarding || {}
+
+    return {
+        timezone: preferences.timezone,
+        locale: preferences.locale,
+        salaryCurrency: preferences.salaryCurrency,
+        salaryPeriod: preferences.salaryPeriod,
+        defaultStatus: preferences.defaultStatus,
+        notifications: {
+            interviewReminders: notifications.interviewReminders,
+            applicationUpdates: notifications.applicationUpdates,
+            weeklySummary: notifications.weeklySummary,
+            productNews: notifications.productNews,
+        },
+        onboarding: {
+            welcome: onboarding.welcome,
+            board: onboarding.board,
+            documents: onboarding.documents,
+            analytics: onboarding.analytics,
+        },
+    }
+}
+
+module.exports = {
+    VIEWS,
+    serializeUser,
+    serializePreferences,
+    userViewFor,
+}
@@ -12,6 +12,21 @@ const mongoose = require('mongoose')
 const cors = require('cors')
 const path = require('path')
 
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD in .env (if set)
+const { seedAdminFromEnv } = require('./services/adminSeed')
+
+// Brings documents saved by older versions up to date
+const { runMigrations } = require('./services/migrations')
+
+// Permanently removes deleted accounts once their grace period is over
+const { startPurgeJob } = require('./services/accountDeletion')
+
+// Removes personal data export archives once they expire
+const { startExportCleanupJob } = require('./services/dataExport')
+
+// Permanently removes job applications that have been in the trash too long
+const { startApplicationPurgeJob } = require('./services/applicationTrash')
+
 // Use the port specified in environment if available, otherwise default to 3000
 const port = process.env.PORT || 3000
 
@@ -24,6 +39,19 @@ mongoose.connect(process.env.MONGODB_URI)
     // If the Promise was successful (connection to the database), print out 'DB connected!'
     .then(() => {
         console.log('DB connected!')
+
+        runMigrations().catch((err) => {
+            console.log('Migrations failed!', err)
+        })
+
+        // Make sure the admin account from .env exists
+        seedAdminFromEnv().catch((err) => {
+            console.log('Admin seed failed!', err)
+        })
+
+        startPurgeJob()
+        startExportCleanupJob()
+        startApplicationPurgeJob()
     })
     // If the Promise was not successful, print 'DB connection failed!' along with the error
     .catch((err) => {
@@ -37,6 +65,21 @@ mongoose.connect(process.env.MONGODB_URI)
 // and responses
 const app = express()
 
+// When running behind a proxy (e.g. Heroku), set TRUST_PROXY so req.ip is the
+// real client IP (used for sign-in rate limiting) rather than the proxy's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+// Job application documents used to be kept in public/documents. They now
+// live outside public/ and are only downloadable through the authenticated
+// GET /job-application/documents/:fileName, so never serve that folder
+app.use('/documents', (req, res) => {
+    res.status(404).json({
+        message: 'Not found',
+    })
+})
+
 // Allow any file inside the 'public' folder become accessible in the browser
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -51,8 +94,10 @@ app.use(bodyParser.json())
 app.use(bodyParser.urlencoded({ extended: true }))
 
 /* '/{*any}' means to match any path after the root '/'. cors() (Cross-Origin Resource
-   Sharing) allows requests from different domains to access any route within the app */
-app.use('/{*any}', cors())
+   Sharing) allows requests from different domains to access any route within the app.
+   Browsers only let scripts read the ETag (for If-Match) and Link (pagination)
+   response headers when they are listed in exposedHeaders */
+app.use('/{*any}', cors({ exposedHeaders: ['ETag', 'Link'] }))
 
 /* ==============================
    ROUTES
@@ -66,17 +111,48 @@ app.get('/', (req, res) => {
 // Import the user and auth routers from routes directory
 const userRouter = require('./routes/user')
 const authRouter = require('./routes/auth')
+const twoFactorRouter = require('./routes/twoFactor')
 const jobApplicationRoutes = require('./routes/jobApplication')
+const adminRouter = require('./routes/admin')
+const accessTokenRouter = require('./routes/accessTokens')
+const exportRouter = require('./routes/exports')
+const pipelineStageRouter = require('./routes/pipelineStages')
+
+// Shared JWT authentication middleware and its 401 error handler
+const { authenticate, requireSessionToken, handleAuthError } = require('./middleware/auth')
+
+// Each user's board stages (before /user so the user router doesn't see them first)
+app.use('/user/:userId/stages', authenticate, pipelineStageRouter)
 
 // user route -> Whenever a request path begins with '/user', it gets passed to the
 // userRouter to handle. userRouter is imported from ./routes/user
-app.use('/user', userRouter)
+// Every /user route needs a valid token, except POST /user (sign up)
+app.use('/user', authenticate.unless({
+    path: [{ url: /^\/user\/?$/, methods: ['POST'] }],
+}), userRouter)
+
+// Personal access tokens (only manageable from a normal sign-in)
+app.use('/auth/tokens', authenticate, requireSessionToken, accessTokenRouter)
+
+// For all request paths that begin with '/auth/2fa' (two-factor authentication)
+app.use('/auth/2fa', twoFactorRouter)
 
 // For all request paths that begin with '/auth'
 app.use('/auth', authRouter)
 
 // For all request paths that begin with '/jobApplication'
-app.use('/job-application', jobApplicationRoutes)
+// Every /job-application route needs a valid token
+app.use('/job-application', authenticate, jobApplicationRoutes)
+
+// Data export downloads - the signed link is the credential, so no token needed
+app.use('/exports', exportRouter)
+
+// For all request paths that begin with '/admin' (each route checks its permission)
+// Personal access tokens are never accepted for admin routes
+app.use('/admin', authenticate, requireSessionToken, adminRouter)
+
+// Turn missing/invalid/expired token errors into consistent 401 responses
+app.use(handleAuthError)
 
 /* ==============================
    RUN APP
@@ -0,0 +1,183 @@
+/* ==============================
+   ACCOUNT DELETION SERVICE
+   Deleting an account is a soft delete: the user can't sign in and is
+   hidden from the user directory, but the user (with the emailed link)
+   or an admin can restore it during a grace period.
+   Once the grace period is over the purge job removes the user and
+   everything they own: job applications and their timelines, board
+   stages, uploaded documents, avatar, sessions, tokens and data exports
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const fs = require('fs')
+
+const User = require('../models/User')
+const JobApplication = require('../models/JobApplication')
+const Session = require('../models/Session')
+const RefreshToken = require('../models/RefreshToken')
+const UserToken = require('../models/UserToken')
+const PersonalAccessToken = require('../models/PersonalAccessToken')
+const PipelineStage = require('../models/PipelineStage')
+const Document = require('../models/Document')
+const { endAllSessions } = require('./session')
+const { removeExportsForUser } = require('./dataExport')
+const { removeTimelinesForUser } = require('./applicationTimeline')
+const { removeUnreferencedDocuments } = require('./documentText')
+const { AVATARS_DIR, removeAvatarFiles } = require('./avatar')
+const { AUDIT_ACTIONS, recordAudit } = require('./audit')
+const Mailer = require('../mailer')
+const emailTemplates = require('../mailer/templates')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How long a deleted account can still be restored (in days)
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30
+
+// How often the purge job looks for accounts to remove (in minutes)
+const ACCOUNT_PURGE_INTERVAL_MINUTES = Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60
+
+/* ==============================
+   softDeleteUser(user)
+   Mark the account as deleted, sign it out everywhere, revoke its
+   personal access tokens and email a restore link.
+   Returns the date the account will be purged
+  ============================== */
+async function softDeleteUser(user) {
+    const purgeAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+
+    user.deletedAt = new Date()
+    user.purgeAt = purgeAt
+
+    // Revoke every access token already issued
+    user.tokenVersion = (user.tokenVersion || 0) + 1
+    await user.save()
+
+    await endAllSessions(user._id)
+    await PersonalAccessToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() })
+
+    // The restore link works for as long as the account can be restored
+    const token = await UserToken.issue(user._id, 'account-restore', ACCOUNT_DELETION_GRACE_DAYS * 24 * 60)
+
+    Mailer.sendInBackground({
+        to: user.email,
+        ...emailTemplates.accountDeleted(user, token, purgeAt),
+    })
+
+    return purgeAt
+}
+
+/* ==============================
+   restoreUser(user)
+   Undo a soft delete. The user signs in again as normal (old sessions
+   and personal access tokens stay revoked)
+  ============================== */
+async function restoreUser(user) {
+    user.deletedAt = null
+    user.purgeAt = undefined
+    await user.save()
+
+    await UserToken.invalidate(user._id, 'account-restore')
+}
+
+// Delete a file if it is there, ignoring files that are already gone
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath)
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+    }
+}
+
+/* ==============================
+   purgeUser(userId)
+   Permanently remove a user and everything they own
+  ============================== */
+async function purgeUser(userId) {
+    const user = await User.findById(userId)
+    if (!user) return
+
+    // === DOCUMENTS ===
+    // Everything they uploaded or attached, except files another user's
+    // application still points at
+    const applications = await JobApplication.find({ user: user._id }).select('documents')
+    const uploaded = await Document.find({ user: user._id }).distinct('fileName')
+    const fileNames = [...new Set([...uploaded, ...applications.flatMap((application) => application.documents || [])])]
+
+    await JobApplication.deleteMany({ user: user._id })
+    await removeTimelinesForUser(user._id)
+    await PipelineStage.deleteMany({ user: user._id })
+
+    await removeUnreferencedDocuments(fileNames)
+
+    // === AVATAR ===
+    // (user_<id>.png is where avatars were saved before there were variants)
+    removeAvatarFiles(user.avatar)
+    removeFile(path.join(AVATARS_DIR, `user_${user._id}.png`))
+
+    // === SESSIONS AND TOKENS ===
+    await Session.deleteMany({ user: user._id })
+    await RefreshToken.deleteMany({ user: user._id })
+    await UserToken.deleteMany({ user: user._id })
+    await PersonalAccessToken.deleteMany({ user: user._id })
+
+    // === DATA EXPORTS ===
+    await removeExportsForUser(user._id)
+
+    await User.deleteOne({ _id: user._id })
+
+    // Done by the purge job, not a signed-in user
+    await recordAudit(null, {
+        action: AUDIT_ACTIONS.USER_PURGED,
+        actor: null,
+        target: user,
+        metadata: { deletedAt: user.deletedAt },
+    })
+
+    console.log('Purged deleted account', String(user._id))
+}
+
+/* ==============================
+   purgeDeletedAccounts()
+   Purge every soft-deleted account whose grace period is over.
+   Returns how many accounts were removed
+  ============================== */
+async function purgeDeletedAccounts() {
+    const users = await User.find({
+        deletedAt: { $ne: null },
+        purgeAt: { $lte: new Date() },
+    }).select('_id')
+
+    for (const user of users) {
+        await purgeUser(user._id)
+    }
+
+    return users.length
+}
+
+/* ==============================
+   startPurgeJob()
+   Run purgeDeletedAccounts() now and then every
+   ACCOUNT_PURGE_INTERVAL_MINUTES while the server is running
+  ============================== */
+function startPurgeJob() {
+    const run = () => purgeDeletedAccounts().catch((err) => {
+        console.error('Error purging deleted accounts:', err)
+    })
+
+    run()
+
+    // unref() so the timer never keeps the process alive on its own
+    setInterval(run, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000).unref()
+}
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    softDeleteUser,
+    restoreUser,
+    purgeUser,
+    purgeDeletedAccounts,
+    startPurgeJob,
+}
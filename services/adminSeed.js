@@ -0,0 +1,99 @@
+/* ==============================
+   ADMIN SEED
+   Creates the first admin account (or promotes an existing account to
+   admin). Used by the CLI script (npm run create-admin) and, when
+   ADMIN_EMAIL is set in .env, automatically when the server starts
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const User = require('../models/User')
+const Utils = require('../Utils')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+/* ==============================
+   ensureAdmin({ email, password, firstName, lastName })
+   - If a user with this email exists, make sure their role is admin.
+     Only an account that has confirmed its email address is promoted:
+     anyone can sign up with an address they don't own, so an
+     unconfirmed account may not belong to the person meant to be admin
+   - Otherwise create a new admin account (password is required)
+   Returns { user, created, promoted }
+  ============================== */
+async function ensureAdmin({ email, password, firstName, lastName }) {
+    if (!email) {
+        throw new Error('An email address is required to create an admin')
+    }
+
+    const existing = await User.findOne({ email })
+
+    // === PROMOTE EXISTING ACCOUNT ===
+    if (existing) {
+        if (existing.role === 'admin') {
+            return { user: existing, created: false, promoted: false }
+        }
+
+        if (!existing.emailVerified) {
+            throw new Error(`${email} has not been confirmed by its owner, so it was not made an admin. Confirm the address first`)
+        }
+
+        existing.role = 'admin'
+
+        // Old access tokens still carry the old role, so revoke them
+        existing.tokenVersion = (existing.tokenVersion || 0) + 1
+
+        await existing.save()
+        return { user: existing, created: false, promoted: true }
+    }
+
+    // === CREATE NEW ADMIN ===
+    if (!password) {
+        throw new Error(`No user exists for ${email}, so a password is required to create one`)
+    }
+
+    const passwordError = Utils.validatePassword(password)
+    if (passwordError) {
+        throw new Error(passwordError)
+    }
+
+    const user = await new User({
+        firstName: firstName || 'Admin',
+        lastName: lastName || 'User',
+        email,
+        password, // Hashed by the pre-save middleware on the User model
+        role: 'admin',
+        // The person running the seed controls this address
+        emailVerified: true,
+    }).save()
+
+    return { user, created: true, promoted: false }
+}
+
+/* ==============================
+   seedAdminFromEnv()
+   Runs ensureAdmin() with ADMIN_EMAIL / ADMIN_PASSWORD /
+   ADMIN_FIRST_NAME / ADMIN_LAST_NAME from .env. Does nothing when
+   ADMIN_EMAIL is not set
+  ============================== */
+async function seedAdminFromEnv() {
+    if (!process.env.ADMIN_EMAIL) return null
+
+    const result = await ensureAdmin({
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD,
+        firstName: process.env.ADMIN_FIRST_NAME,
+        lastName: process.env.ADMIN_LAST_NAME,
+    })
+
+    if (result.created) console.log('Admin account created for', result.user.email)
+    if (result.promoted) console.log('Existing account promoted to admin:', result.user.email)
+
+    return result
+}
+
+module.exports = {
+    ensureAdmin,
+    seedAdminFromEnv,
+}
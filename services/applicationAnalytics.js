@@ -0,0 +1,412 @@
+/* ==============================
+   APPLICATION ANALYTICS SERVICE
+   "How is my job search going?" for GET /job-application/:userId/analytics.
+   One aggregation over the user's applications (archived ones included,
+   the trash left out) joined with their timelines
+   (models/ApplicationEvent.js) gives:
+   - totals and the response rate (an application got a response when
+     the user moved it into a stage after "applied" that isn't a dead
+     end without an answer - see responseStageKeys())
+   - the funnel: how many applications reached each stage and the
+     conversion rate from each stage to the next. Stages are taken in
+     board order and "lost" / "dropped" stages (rejected, ghosted...)
+     are left out of it; reaching a later stage counts as having passed
+     the earlier ones
+   - applications per ISO week (Monday to Sunday, by date applied)
+   - median days from applying to the first response, and median days
+     spent in each stage (only stays that have ended)
+   - the same totals broken down by location and by company
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const mongoose = require('mongoose')
+
+const JobApplication = require('../models/JobApplication')
+const ApplicationEvent = require('../models/ApplicationEvent')
+const { listStages } = require('./pipelineStages')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+// Most locations / companies returned in a breakdown (the biggest ones)
+const BREAKDOWN_LIMIT = 20
+
+/* ==============================
+   HELPERS
+  ============================== */
+
+// The middle value (average of the two middle ones for an even count),
+// in days with one decimal. null when there are no values
+function median(values) {
+    if (values.length === 0) return null
+
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+
+    return Math.round(value * 10) / 10
+}
+
+// part / whole as a 0-1 fraction with three decimals (null when whole is 0)
+function rate(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 1000 : null
+}
+
+// The Monday (UTC) that starts ISO week `week` of ISO year `year`
+function isoWeekStart(year, week) {
+    const jan4 = new Date(Date.UTC(year, 0, 4))
+    const firstMonday = jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS
+
+    return new Date(firstMonday + (week - 1) * WEEK_MS)
+}
+
+/* Applications per week, oldest first, with the weeks that had none
+   filled in so the series can be charted as-is. A bucket with no week
+   (no date applied) is left out rather than charted in 1970 */
+function weeklySeries(buckets) {
+    buckets = buckets.filter((bucket) => bucket._id.year !== null && bucket._id.week !== null)
+
+    if (buckets.length === 0) return []
+
+    const byStart = new Map(buckets.map((bucket) => [
+        isoWeekStart(bucket._id.year, bucket._id.week).getTime(),
+        bucket,
+    ]))
+
+    const starts = [...byStart.keys()]
+    const weeks = []
+
+    for (let start = Math.min(...starts); start <= Math.max(...starts); start += WEEK_MS) {
+        const bucket = byStart.get(start)
+
+        weeks.push({
+            weekStart: new Date(start).toISOString().slice(0, 10),
+            applications: bucket ? bucket.applications : 0,
+            responded: bucket ? bucket.responded : 0,
+        })
+    }
+
+    return weeks
+}
+
+// Stages for a breakdown by `field`, biggest groups first (case and
+// surrounding spaces are ignored; the first spelling seen is shown)
+function breakdown(field) {
+    return [
+        {
+            $group: {
+                _id: { $toLower: { $trim: { input: { $ifNull: [`$${field}`, ''] } } } },
+                name: { $first: { $trim: { input: { $ifNull: [`$${field}`, ''] } } } },
+                applications: { $sum: 1 },
+                responded: { $sum: { $cond: ['$responded', 1, 0] } },
+                won: { $sum: { $cond: [{ $eq: ['$outcome', 'won'] }, 1, 0] } },
+                lost: { $sum: { $cond: [{ $eq: ['$outcome', 'lost'] }, 1, 0] } },
+                dropped: { $sum: { $cond: [{ $eq: ['$outcome', 'dropped'] }, 1, 0] } },
+                daysToResponse: { $push: '$daysToResponse' },
+            },
+        },
+        { $sort: { applications: -1, _id: 1 } },
+        { $limit: BREAKDOWN_LIMIT },
+    ]
+}
+
+/* The stages that mean the employer answered: every stage after the
+   "applied" one on the board (the first stage, if there's no stage
+   with that key) except the "dropped" ones - withdrawing or being
+   ghosted isn't an answer. Moving from a wishlist to applied isn't
+   either, since that stage comes first */
+function responseStageKeys(stages) {
+    const applied = stages.find((stage) => stage.key === 'applied') || stages[0]
+
+    if (!applied) return []
+
+    return stages
+        .filter((stage) => stage.order > applied.order && stage.outcome !== 'dropped')
+        .map((stage) => stage.key)
+}
+
+// One row of a breakdown as sent to the client
+function toBreakdownRow(row) {
+    return {
+        name: row.name,
+        applications: row.applications,
+        responded: row.responded,
+        responseRate: rate(row.responded, row.applications),
+        won: row.won,
+        lost: row.lost,
+        dropped: row.dropped,
+        medianDaysToFirstResponse: median(row.daysToResponse.filter((days) => days !== null)),
+    }
+}
+
+/* Stages for the days spent in each stage, from the applications'
+   timelines (worked out here so only the numbers leave the database).
+   Each status change ends the stay in the status before it. The first
+   stage starts on the date applied (or when the application was added,
+   if that was earlier); the stage an application is in now hasn't
+   ended, so it isn't counted. A stay backdated to end before it began
+   counts as 0 days.
+   Gives one row per stage: { _id: stageKey, days: [days, ...] } */
+function stageStays() {
+    const at = (field, index) => ({ $arrayElemAt: [`$events.${field}`, index] })
+
+    return [
+        {
+            $project: {
+                _id: 0,
+                stays: {
+                    $map: {
+                        input: { $range: [0, { $max: [0, { $subtract: [{ $size: '$events' }, 1] }] }] },
+                        as: 'i',
+                        in: {
+                            status: at('toStatus', '$$i'),
+                            next: at('toStatus', { $add: ['$$i', 1] }),
+                            start: {
+                                $cond: [
+                                    {
+                                        $and: [
+                                            { $eq: ['$$i', 0] },
+                                            { $ne: [{ $ifNull: ['$dateApplied', null] }, null] },
+                                            { $lt: ['$dateApplied', at('occurredAt', 0)] },
+                                        ],
+                                    },
+                                    '$dateApplied',
+                                    at('occurredAt', '$$i'),
+                                ],
+                            },
+                            end: at('occurredAt', { $add: ['$$i', 1] }),
+                        },
+                    },
+                },
+            },
+        },
+        { $unwind: '$stays' },
+        {
+            $match: {
+                'stays.status': { $ne: null },
+                $expr: { $ne: ['$stays.status', '$stays.next'] },
+            },
+        },
+        {
+            $group: {
+                _id: '$stays.status',
+                days: { $push: { $max: [0, { $divide: [{ $subtract: ['$stays.end', '$stays.start'] }, DAY_MS] }] } },
+            },
+        },
+    ]
+}
+
+/* ==============================
+   buildAnalytics(userId, { from, to })
+   from / to are optional Dates limiting the applications to those
+   applied for in that range (inclusive)
+  ============================== */
+async function buildAnalytics(userId, { from = null, to = null } = {}) {
+    const stages = await listStages(userId, { includeArchived: true })
+
+    const keysWith = (...outcomes) => stages.filter((stage) => outcomes.includes(stage.outcome)).map((stage) => stage.key)
+
+    const funnelStages = stages.filter((stage) => stage.outcome === 'active' || stage.outcome === 'won')
+    const funnelKeys = funnelStages.map((stage) => stage.key)
+    const wonKeys = keysWith('won')
+    const lostKeys = keysWith('lost')
+    const droppedKeys = keysWith('dropped')
+    const responseKeys = responseStageKeys(stages)
+
+    const match = { user: new mongoose.Types.ObjectId(String(userId)), deletedAt: null }
+
+    if (from || to) {
+        match.dateApplied = {}
+        if (from) match.dateApplied.$gte = from
+        if (to) match.dateApplied.$lte = to
+    }
+
+    const [result] = await JobApplication.aggregate([
+        { $match: match },
+
+        // The application's status history, oldest first
+        {
+            $lookup: {
+                from: ApplicationEvent.collection.name,
+                let: { applicationId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$application', '$$applicationId'] },
+                            type: { $in: ['created', 'status_changed'] },
+                        },
+                    },
+                    { $sort: { occurredAt: 1, _id: 1 } },
+                    { $project: { _id: 0, type: 1, toStatus: 1, occurredAt: 1, automatic: 1 } },
+                ],
+                as: 'events',
+            },
+        },
+
+        // Every status it has been in, its first response (the first time
+        // the user moved it into a response stage; moves the app made on
+        // its own don't count) and its outcome
+        {
+            $addFields: {
+                statuses: { $setUnion: ['$events.toStatus', ['$status']] },
+                firstResponseAt: {
+                    $min: {
+                        $map: {
+                            input: {
+                                $filter: {
+                                    input: '$events',
+                                    cond: {
+                                        $and: [
+                                            { $eq: ['$$this.type', 'status_changed'] },
+                                            { $ne: ['$$this.automatic', true] },
+                                            { $in: ['$$this.toStatus', responseKeys] },
+                                        ],
+                                    },
+                                },
+                            },
+                            in: '$$this.occurredAt',
+                        },
+                    },
+                },
+                outcome: {
+                    $switch: {
+                        branches: [
+                            { case: { $in: ['$status', wonKeys] }, then: 'won' },
+                            { case: { $in: ['$status', lostKeys] }, then: 'lost' },
+                            { case: { $in: ['$status', droppedKeys] }, then: 'dropped' },
+                        ],
+                        default: 'active',
+                    },
+                },
+            },
+        },
+        {
+            $addFields: {
+                responded: { $ne: [{ $ifNull: ['$firstResponseAt', null] }, null] },
+
+                // Index of the furthest funnel stage reached (-1 = none)
+                furthest: { $max: { $map: { input: '$statuses', in: { $indexOfArray: [funnelKeys, '$$this'] } } } },
+
+                // null without a date applied to count from
+                daysToResponse: {
+                    $cond: [
+                        {
+                            $and: [
+                                { $ne: [{ $ifNull: ['$firstResponseAt', null] }, null] },
+                                { $ne: [{ $ifNull: ['$dateApplied', null] }, null] },
+                            ],
+                        },
+                        { $max: [0, { $divide: [{ $subtract: ['$firstResponseAt', '$dateApplied'] }, DAY_MS] }] },
+                        null,
+                    ],
+                },
+            },
+        },
+
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            applications: { $sum: 1 },
+                            responded: { $sum: { $cond: ['$responded', 1, 0] } },
+                            won: { $sum: { $cond: [{ $eq: ['$outcome', 'won'] }, 1, 0] } },
+                            lost: { $sum: { $cond: [{ $eq: ['$outcome', 'lost'] }, 1, 0] } },
+                            dropped: { $sum: { $cond: [{ $eq: ['$outcome', 'dropped'] }, 1, 0] } },
+                            archived: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$archivedAt', null] }, null] }, 1, 0] } },
+                            daysToResponse: { $push: '$daysToResponse' },
+                        },
+                    },
+                ],
+                furthest: [{ $group: { _id: '$furthest', count: { $sum: 1 } } }],
+                current: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                everIn: [
+                    { $unwind: '$statuses' },
+                    { $group: { _id: '$statuses', count: { $sum: 1 } } },
+                ],
+                // Applications with no date applied belong to no week
+                weeks: [
+                    { $match: { dateApplied: { $ne: null } } },
+                    {
+                        $group: {
+                            _id: { year: { $isoWeekYear: '$dateApplied' }, week: { $isoWeek: '$dateApplied' } },
+                            applications: { $sum: 1 },
+                            responded: { $sum: { $cond: ['$responded', 1, 0] } },
+                        },
+                    },
+                ],
+                byLocation: breakdown('location'),
+                byCompany: breakdown('company'),
+                stays: stageStays(),
+            },
+        },
+    ])
+
+    const totals = result.totals[0] || { applications: 0, responded: 0, won: 0, lost: 0, dropped: 0, archived: 0, daysToResponse: [] }
+    const countsBy = (rows) => Object.fromEntries(rows.map((row) => [row._id, row.count]))
+
+    // === FUNNEL ===
+    // reached[i] = applications whose furthest stage is i or later
+    const furthest = countsBy(result.furthest)
+    const reached = funnelKeys.map((key, index) => Object.entries(furthest)
+        .filter(([stageIndex]) => Number(stageIndex) >= index)
+        .reduce((sum, [, count]) => sum + count, 0))
+
+    const conversion = funnelStages.slice(0, -1).map((stage, index) => ({
+        from: stage.key,
+        to: funnelStages[index + 1].key,
+        reached: reached[index],
+        converted: reached[index + 1],
+        rate: rate(reached[index + 1], reached[index]),
+    }))
+
+    // === STAGES ===
+    const current = countsBy(result.current)
+    const everIn = countsBy(result.everIn)
+    const stays = Object.fromEntries(result.stays.map((row) => [row._id, row.days]))
+
+    const stageRows = stages.map((stage) => {
+        const funnelIndex = funnelKeys.indexOf(stage.key)
+
+        return {
+            key: stage.key,
+            name: stage.name,
+            outcome: stage.outcome,
+            archived: Boolean(stage.archivedAt),
+            current: current[stage.key] || 0,
+            reached: funnelIndex === -1 ? (everIn[stage.key] || 0) : reached[funnelIndex],
+            medianDaysInStage: median(stays[stage.key] || []),
+            completedStays: (stays[stage.key] || []).length,
+        }
+    })
+
+    return {
+        range: { from, to },
+        totals: {
+            applications: totals.applications,
+            responded: totals.responded,
+            responseRate: rate(totals.responded, totals.applications),
+            active: totals.applications - totals.won - totals.lost - totals.dropped,
+            won: totals.won,
+            lost: totals.lost,
+            dropped: totals.dropped,
+            archived: totals.archived,
+            medianDaysToFirstResponse: median(totals.daysToResponse.filter((days) => days !== null)),
+        },
+        stages: stageRows,
+        conversion,
+        weekly: weeklySeries(result.weeks),
+        byLocation: result.byLocation.map(toBreakdownRow),
+        byCompany: result.byCompany.map(toBreakdownRow),
+    }
+}
+
+module.exports = {
+    median,
+    isoWeekStart,
+    weeklySeries,
+    responseStageKeys,
+    buildAnalytics,
+}
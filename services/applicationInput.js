@@ -0,0 +1,206 @@
+/* ==============================
+   APPLICATION INPUT
+   Checks the job application fields sent to POST and PATCH
+   /job-application, so both accept exactly the same values.
+   Whether `status` is one of the user's stages is checked by the route
+   (see checkStatus in services/pipelineStages.js) because it needs the
+   database
+  ============================== */
+
+// Fields that can never be empty
+const REQUIRED_FIELDS = ['company', 'position', 'location', 'status', 'dateApplied']
+
+// Longest value accepted for each text field
+const MAX_LENGTHS = {
+    company: 200,
+    position: 200,
+    location: 200,
+    status: 40,
+    interviewTime: 20,
+    jobUrl: 2000,
+    notes: 20000,
+}
+
+// Most documents one application can have
+const MAX_DOCUMENTS = 20
+
+// Most tags one application can have, and the longest tag
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 30
+
+// Every field the client can set
+const APPLICATION_FIELDS = [
+    'company',
+    'position',
+    'location',
+    'status',
+    'minSalary',
+    'maxSalary',
+    'dateApplied',
+    'interviewDate',
+    'interviewTime',
+    'jobUrl',
+    'notes',
+    'documents',
+    'tags',
+]
+
+// "" and null both mean "no value" for optional fields
+function isBlank(value) {
+    return value === undefined || value === null || value === ''
+}
+
+// Check one field. Returns { value } or { error }
+function validateField(field, raw) {
+    switch (field) {
+        case 'company':
+        case 'position':
+        case 'location':
+        case 'status': {
+            if (typeof raw !== 'string' || !raw.trim()) {
+                return { error: `${field} is required` }
+            }
+            if (raw.trim().length > MAX_LENGTHS[field]) {
+                return { error: `${field} must be ${MAX_LENGTHS[field]} characters or fewer` }
+            }
+            return { value: raw.trim() }
+        }
+
+        case 'minSalary':
+        case 'maxSalary': {
+            if (isBlank(raw)) return { value: null }
+
+            // The frontend sends numbers from form inputs as strings
+            const amount = Number(raw)
+            if (!Number.isFinite(amount) || amount < 0) {
+                return { error: `${field} must be a positive number` }
+            }
+            return { value: amount }
+        }
+
+        case 'dateApplied':
+        case 'interviewDate': {
+            if (isBlank(raw)) {
+                return field === 'dateApplied' ? { error: 'dateApplied is required' } : { value: null }
+            }
+
+            const date = new Date(raw)
+            if (isNaN(date.getTime())) {
+                return { error: `${field} must be a valid date` }
+            }
+            return { value: date }
+        }
+
+        case 'interviewTime':
+        case 'jobUrl':
+        case 'notes': {
+            if (isBlank(raw)) return { value: '' }
+
+            if (typeof raw !== 'string') {
+                return { error: `${field} must be text` }
+            }
+            if (raw.length > MAX_LENGTHS[field]) {
+                return { error: `${field} must be ${MAX_LENGTHS[field]} characters or fewer` }
+            }
+            return { value: field === 'notes' ? raw : raw.trim() }
+        }
+
+        case 'documents': {
+            if (isBlank(raw)) return { value: [] }
+
+            if (!Array.isArray(raw) || raw.some((fileName) => typeof fileName !== 'string' || !fileName.trim())) {
+                return { error: 'documents must be a list of file names' }
+            }
+            if (raw.length > MAX_DOCUMENTS) {
+                return { error: `An application can have at most ${MAX_DOCUMENTS} documents` }
+            }
+            return { value: [...new Set(raw.map((fileName) => fileName.trim()))] }
+        }
+
+        case 'tags': {
+            if (isBlank(raw)) return { value: [] }
+
+            const tags = parseTags(raw)
+            if (tags.error) return tags
+
+            return { value: tags.tags }
+        }
+
+        default:
+            return { error: `Unknown field: ${field}` }
+    }
+}
+
+/* Check a list of tags (also used by the bulk tag actions).
+   Tags are trimmed, lower-cased and de-duplicated.
+   Returns { tags } or { error } */
+function parseTags(raw) {
+    if (!Array.isArray(raw) || raw.some((tag) => typeof tag !== 'string' || !tag.trim())) {
+        return { error: 'tags must be a list of words' }
+    }
+
+    const tags = [...new Set(raw.map((tag) => tag.trim().toLowerCase()))]
+
+    if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `A tag must be ${MAX_TAG_LENGTH} characters or fewer` }
+    }
+    if (tags.length > MAX_TAGS) {
+        return { error: `An application can have at most ${MAX_TAGS} tags` }
+    }
+
+    return { tags }
+}
+
+/* ==============================
+   validateApplication(body, { partial, existing, ignore })
+   - partial = false (POST): every required field must be there, other
+     body keys (user...) are left to the route
+   - partial = true (PATCH): only the fields sent are checked and
+     returned; keys that aren't application fields are refused unless
+     listed in `ignore`. `existing` is the stored application, used to
+     check the salary range as a whole
+   Returns { value } - the fields to store - or { error }
+  ============================== */
+function validateApplication(body, { partial = false, existing = null, ignore = [] } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Job application must be an object' }
+    }
+
+    if (partial) {
+        const unknown = Object.keys(body).find((key) => !APPLICATION_FIELDS.includes(key) && !ignore.includes(key))
+        if (unknown) {
+            return { error: `${unknown} cannot be changed here. Allowed fields: ${APPLICATION_FIELDS.join(', ')}` }
+        }
+    }
+
+    const value = {}
+
+    for (const field of APPLICATION_FIELDS) {
+        const sent = body[field] !== undefined
+
+        if (!sent && (partial || !REQUIRED_FIELDS.includes(field))) continue
+
+        const result = validateField(field, body[field])
+        if (result.error) return result
+
+        value[field] = result.value
+    }
+
+    // === SALARY RANGE ===
+    const pick = (field) => value[field] !== undefined ? value[field] : (existing ? existing[field] : null)
+    const minSalary = pick('minSalary')
+    const maxSalary = pick('maxSalary')
+
+    if (typeof minSalary === 'number' && typeof maxSalary === 'number' && minSalary > maxSalary) {
+        return { error: 'minSalary cannot be more than maxSalary' }
+    }
+
+    return { value }
+}
+
+module.exports = {
+    APPLICATION_FIELDS,
+    MAX_TAGS,
+    parseTags,
+    validateApplication,
+}
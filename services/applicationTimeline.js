@@ -0,0 +1,231 @@
+/* ==============================
+   APPLICATION TIMELINE SERVICE
+   Records what happens to a job application (created, every status
+   change, deleted) as ApplicationEvents, and reads them back for
+   GET /job-application/:id/timeline
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const ApplicationEvent = require('../models/ApplicationEvent')
+const { getAuthUserId } = require('../middleware/auth')
+
+// Clocks differ a little between browsers and the server, so allow
+// "now" to be slightly in the future before refusing a date
+const CLOCK_SKEW_MS = 5 * 60 * 1000
+
+// Longest note allowed (from the schema)
+function noteMaxLength() {
+    return ApplicationEvent.schema.path('note').options.maxlength
+}
+
+/* ==============================
+   parseTransition({ occurredAt, note }, names)
+   Check the optional backdate and note sent with a status change.
+   names are the body fields used in error messages.
+   Returns { occurredAt, note } (occurredAt undefined = now) or { error }
+  ============================== */
+function parseTransition({ occurredAt, note } = {}, { dateField = 'statusChangedAt', noteField = 'statusNote' } = {}) {
+    const transition = {}
+
+    if (occurredAt !== undefined && occurredAt !== null && occurredAt !== '') {
+        const date = new Date(occurredAt)
+
+        if (isNaN(date.getTime())) {
+            return { error: `${dateField} must be a valid date` }
+        }
+        if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+            return { error: `${dateField} cannot be in the future` }
+        }
+        transition.occurredAt = date
+    }
+
+    if (note !== undefined && note !== null) {
+        if (typeof note !== 'string') {
+            return { error: `${noteField} must be text` }
+        }
+        if (note.trim().length > noteMaxLength()) {
+            return { error: `${noteField} must be ${noteMaxLength()} characters or fewer` }
+        }
+        transition.note = note.trim()
+    }
+
+    return transition
+}
+
+/* ==============================
+   checkTransitionDate(application, occurredAt, { dateField, event })
+   A backdated status change can't come before the latest entry already
+   on the timeline (at the earliest its "created" entry, which is the
+   date applied - see createdEventDate()), or the timeline would no
+   longer be in order. When an existing event is
+   being moved (event), it has to stay between the entries either side
+   of it instead.
+   Returns {} or { error }
+  ============================== */
+async function checkTransitionDate(application, occurredAt, { dateField = 'statusChangedAt', event = null } = {}) {
+    if (!occurredAt) return {}
+
+    const others = { application: event ? event.application : application._id }
+    let earlier = null
+    let later = null
+
+    if (event) {
+        others._id = { $ne: event._id }
+
+        // Its neighbours, in the order findTimeline() shows them
+        const before = { $or: [
+            { occurredAt: { $lt: event.occurredAt } },
+            { occurredAt: event.occurredAt, createdAt: { $lt: event.createdAt } },
+        ] }
+        const after = { $or: [
+            { occurredAt: { $gt: event.occurredAt } },
+            { occurredAt: event.occurredAt, createdAt: { $gt: event.createdAt } },
+        ] }
+
+        earlier = await ApplicationEvent.findOne({ ...others, ...before }).sort({ occurredAt: -1, createdAt: -1 })
+        later = await ApplicationEvent.findOne({ ...others, ...after }).sort({ occurredAt: 1, createdAt: 1 })
+    } else {
+        earlier = await ApplicationEvent.findOne(others).sort({ occurredAt: -1, createdAt: -1 })
+    }
+
+    // An application with no timeline at all starts on its date applied
+    const floor = earlier ? earlier.occurredAt : (application && application.dateApplied) || null
+
+    if (floor && occurredAt < floor) {
+        return { error: `${dateField} must be on or after ${floor.toISOString()} so the timeline stays in order` }
+    }
+
+    if (later && occurredAt > later.occurredAt) {
+        return { error: `${dateField} must be on or before ${later.occurredAt.toISOString()} so the timeline stays in order` }
+    }
+
+    return {}
+}
+
+/* ==============================
+   RECORDING
+   Each takes the application and the request (for the actor; pass null
+   from jobs and migrations)
+  ============================== */
+
+function recordEvent(application, req, fields) {
+    return ApplicationEvent.create({
+        application: application._id,
+        user: application.user,
+        actor: req ? getAuthUserId(req) : null,
+        ...fields,
+    })
+}
+
+// When the "created" entry goes on the timeline: the date applied, if
+// that was before the application was added (it was logged afterwards),
+// so status changes since then can be backdated
+function createdEventDate(application) {
+    const { dateApplied, createdAt } = application
+
+    return dateApplied && (!createdAt || dateApplied < createdAt) ? dateApplied : createdAt
+}
+
+// The application was created with its first status
+function recordCreated(application, req) {
+    return recordEvent(application, req, {
+        type: 'created',
+        toStatus: application.status,
+        occurredAt: createdEventDate(application),
+    })
+}
+
+// The date applied was changed: move the "created" entry with it, but
+// never after the entries that follow it
+async function moveCreatedEvent(application) {
+    const next = await ApplicationEvent.findOne({ application: application._id, type: { $ne: 'created' } })
+        .sort({ occurredAt: 1, createdAt: 1 })
+
+    let occurredAt = createdEventDate(application)
+    if (next && next.occurredAt < occurredAt) occurredAt = next.occurredAt
+
+    return ApplicationEvent.updateOne({ application: application._id, type: 'created' }, { occurredAt })
+}
+
+// The status moved from fromStatus to application.status
+function recordStatusChange(application, fromStatus, { occurredAt, note } = {}, req) {
+    return recordEvent(application, req, {
+        type: 'status_changed',
+        fromStatus,
+        toStatus: application.status,
+        occurredAt: occurredAt || new Date(),
+        note: note || '',
+    })
+}
+
+// Several applications moved from fromStatus to toStatus at once
+// (a stage was deleted, a bulk update...). automatic = the app moved
+// them, not the user
+function recordStatusChanges(applications, fromStatus, toStatus, { occurredAt, note, automatic = false } = {}, req) {
+    const actor = req ? getAuthUserId(req) : null
+
+    return ApplicationEvent.insertMany(applications.map((application) => ({
+        application: application._id,
+        user: application.user,
+        actor,
+        type: 'status_changed',
+        fromStatus,
+        toStatus,
+        occurredAt: occurredAt || new Date(),
+        note: note || '',
+        automatic,
+    })))
+}
+
+// The application was deleted - moved to the trash (its events are kept,
+// even once it is purged)
+function recordDeleted(application, req) {
+    return recordEvent(application, req, {
+        type: 'deleted',
+        fromStatus: application.status,
+    })
+}
+
+// The application was taken out of the trash
+function recordRestored(application, req) {
+    return recordEvent(application, req, {
+        type: 'restored',
+        toStatus: application.status,
+    })
+}
+
+/* ==============================
+   READING
+  ============================== */
+
+// Every event of an application, in the order they happened
+function findTimeline(applicationId) {
+    return ApplicationEvent.find({ application: applicationId }).sort({ occurredAt: 1, createdAt: 1, _id: 1 })
+}
+
+// Whose application it was, from its events (for deleted applications)
+async function findTimelineOwner(applicationId) {
+    const event = await ApplicationEvent.findOne({ application: applicationId }).select('user')
+    return event ? event.user : null
+}
+
+// Remove the events of every application on a user's board (account purge)
+function removeTimelinesForUser(userId) {
+    return ApplicationEvent.deleteMany({ user: userId })
+}
+
+module.exports = {
+    parseTransition,
+    checkTransitionDate,
+    createdEventDate,
+    recordCreated,
+    moveCreatedEvent,
+    recordStatusChange,
+    recordStatusChanges,
+    recordRestored,
+    recordDeleted,
+    findTimeline,
+    findTimelineOwner,
+    removeTimelinesForUser,
+}
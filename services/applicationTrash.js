@@ -0,0 +1,120 @@
+/* ==============================
+   APPLICATION TRASH SERVICE
+   Deleting a job application moves it to the trash: it disappears from
+   the board, search and analytics but can be restored for
+   APPLICATION_TRASH_RETENTION_DAYS. After that the purge job removes
+   it for good, with any uploaded document no other application uses.
+   Its timeline is kept, so when it was created and deleted can still
+   be shown (it goes when the account is purged)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const JobApplication = require('../models/JobApplication')
+const timeline = require('./applicationTimeline')
+const { removeUnreferencedDocuments } = require('./documentText')
+const { bumpVersion } = require('./etag')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How long a deleted application can still be restored (in days)
+const APPLICATION_TRASH_RETENTION_DAYS = Number(process.env.APPLICATION_TRASH_RETENTION_DAYS) || 30
+
+// How often the purge job looks for applications to remove (in minutes)
+const APPLICATION_PURGE_INTERVAL_MINUTES = Number(process.env.APPLICATION_PURGE_INTERVAL_MINUTES) || 60
+
+/* ==============================
+   trashApplication(application, req, { filter })
+   Move an application to the trash. filter is the condition the write
+   depends on (e.g. the version from If-Match); by default the
+   application only has to still be out of the trash.
+   Returns the trashed application, or null if the filter didn't match
+  ============================== */
+async function trashApplication(application, req, { filter = null } = {}) {
+    const deletedAt = new Date()
+    const purgeAt = new Date(deletedAt.getTime() + APPLICATION_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+    const trashed = await JobApplication.findOneAndUpdate(
+        { ...(filter || { _id: application._id }), deletedAt: null },
+        { deletedAt, purgeAt, ...bumpVersion },
+        { new: true }
+    )
+
+    if (trashed) await timeline.recordDeleted(trashed, req)
+
+    return trashed
+}
+
+/* ==============================
+   restoreApplication(application, req)
+   Take an application out of the trash, back where it was (same
+   status, still archived if it was).
+   Returns the restored application, or null if it wasn't in the trash
+  ============================== */
+async function restoreApplication(application, req) {
+    const restored = await JobApplication.findOneAndUpdate(
+        { _id: application._id, deletedAt: { $ne: null } },
+        { deletedAt: null, purgeAt: null, ...bumpVersion },
+        { new: true }
+    )
+
+    if (restored) await timeline.recordRestored(restored, req)
+
+    return restored
+}
+
+/* ==============================
+   purgeApplication(application)
+   Permanently remove an application and the documents nothing else
+   points at (its timeline stays)
+  ============================== */
+async function purgeApplication(application) {
+    await JobApplication.deleteOne({ _id: application._id })
+    await removeUnreferencedDocuments(application.documents || [])
+
+    console.log('Purged deleted job application', String(application._id))
+}
+
+/* ==============================
+   purgeExpiredApplications()
+   Purge every application that has been in the trash for longer than
+   the retention period. Returns how many were removed
+  ============================== */
+async function purgeExpiredApplications() {
+    const applications = await JobApplication.find({
+        deletedAt: { $ne: null },
+        purgeAt: { $lte: new Date() },
+    }).select('_id documents')
+
+    for (const application of applications) {
+        await purgeApplication(application)
+    }
+
+    return applications.length
+}
+
+/* ==============================
+   startApplicationPurgeJob()
+   Run purgeExpiredApplications() now and then every
+   APPLICATION_PURGE_INTERVAL_MINUTES while the server is running
+  ============================== */
+function startApplicationPurgeJob() {
+    const run = () => purgeExpiredApplications().catch((err) => {
+        console.error('Error purging deleted job applications:', err)
+    })
+
+    run()
+
+    // unref() so the timer never keeps the process alive on its own
+    setInterval(run, APPLICATION_PURGE_INTERVAL_MINUTES * 60 * 1000).unref()
+}
+
+module.exports = {
+    APPLICATION_TRASH_RETENTION_DAYS,
+    trashApplication,
+    restoreApplication,
+    purgeApplication,
+    purgeExpiredApplications,
+    startApplicationPurgeJob,
+}
@@ -0,0 +1,107 @@
+/* ==============================
+   AUDIT SERVICE
+   Writes entries to the append-only audit log (models/AuditLog.js).
+   Routes call recordAudit(req, {...}) after the change has been made.
+   A failure to write the log is logged but never breaks the request
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const AuditLog = require('../models/AuditLog')
+const { getAuthUser, getAuthUserId } = require('../middleware/auth')
+
+// Every action written to the audit log
+const AUDIT_ACTIONS = {
+    SIGNIN: 'auth.signin',
+    SIGNIN_FAILED: 'auth.signin_failed',
+    PASSWORD_CHANGED: 'auth.password_changed',
+    PASSWORD_RESET: 'auth.password_reset',
+    TWO_FACTOR_ENABLED: 'auth.2fa_enabled',
+    TWO_FACTOR_DISABLED: 'auth.2fa_disabled',
+    TWO_FACTOR_RESET: 'auth.2fa_reset',
+    USER_CREATED: 'user.created',
+    USER_UPDATED: 'user.updated',
+    ROLE_CHANGED: 'user.role_changed',
+    USER_DELETED: 'user.deleted',
+    USER_RESTORED: 'user.restored',
+    USER_PURGED: 'user.purged',
+    USER_UNLOCKED: 'user.unlocked',
+    AVATAR_UPDATED: 'user.avatar_updated',
+    AVATAR_REMOVED: 'user.avatar_removed',
+    SETTINGS_UPDATED: 'admin.settings_updated',
+}
+
+// Fields whose values never go into the log
+const SECRET_FIELDS = ['password', 'twoFactor', 'tokenVersion', 'recoveryCodes', 'secret']
+
+const REDACTED = '[REDACTED]'
+
+// One { field, from, to } change, with secret values hidden
+function change(field, from, to) {
+    if (SECRET_FIELDS.includes(field)) {
+        return { field, from: REDACTED, to: REDACTED }
+    }
+    return { field, from: from === undefined ? null : from, to: to === undefined ? null : to }
+}
+
+/* ==============================
+   diffChanges(before, after, fields)
+   The list of changes between two versions of a document, for the
+   given fields
+  ============================== */
+function diffChanges(before, after, fields) {
+    const changes = []
+
+    for (const field of fields) {
+        const from = before ? before[field] : undefined
+        const to = after ? after[field] : undefined
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push(change(field, from, to))
+        }
+    }
+
+    return changes
+}
+
+/* ==============================
+   recordAudit(req, { action, actor, target, changes, metadata })
+   actor defaults to the signed-in user. actor / target can be a User
+   document or an id. Resolves once written (never rejects)
+  ============================== */
+async function recordAudit(req, { action, actor, target, changes = [], metadata } = {}) {
+    try {
+        const authUser = req ? getAuthUser(req) : null
+
+        // Fall back to the signed-in user as the actor
+        const actorId = actor !== undefined ? idOf(actor) : (req ? getAuthUserId(req) : null)
+        const actorEmail = actor && actor.email ? actor.email : (authUser && authUser.email) || undefined
+
+        await AuditLog.create({
+            action,
+            actor: actorId,
+            actorEmail,
+            target: idOf(target),
+            targetEmail: target && target.email ? target.email : undefined,
+            changes: changes.map((entry) => change(entry.field, entry.from, entry.to)),
+            metadata,
+            ip: req ? req.ip : undefined,
+            userAgent: req ? req.get('user-agent') : undefined,
+        })
+    } catch (err) {
+        console.error('Error writing audit log:', err)
+    }
+}
+
+// The id of a User document, or the value itself when it already is an id
+function idOf(value) {
+    if (!value) return null
+    return value._id || value
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    REDACTED,
+    diffChanges,
+    recordAudit,
+}
@@ -0,0 +1,112 @@
+/* ==============================
+   AVATAR SERVICE
+   Turns an uploaded image into the avatar files served from
+   public/avatars:
+   - the real file type is read from its contents (not the name or the
+     Content-Type the browser sent), and only images are accepted
+   - EXIF data (GPS position, camera...) is stripped, after using it to
+     rotate the image the right way up
+   - every size in AVATAR_SIZES is written as WebP and PNG
+   - file names contain a hash of the image, so a new avatar gets new
+     URLs and browsers never show a stale cached one
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const sharp = require('sharp')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Biggest upload accepted (in MB) - AVATAR_MAX_MB in .env
+const AVATAR_MAX_BYTES = (Number(process.env.AVATAR_MAX_MB) || 5) * 1024 * 1024
+
+// Square sizes (in pixels) generated for every avatar
+const AVATAR_SIZES = [48, 128, 300]
+
+// Output formats generated for every size
+const AVATAR_FORMATS = ['webp', 'png']
+
+// Image types accepted, as detected by sharp from the file contents
+const ALLOWED_INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif', 'avif', 'tiff']
+
+// Refuse images with more pixels than this (protects against decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000
+
+// Where avatar files are served from (/avatars/<fileName>)
+const AVATARS_DIR = path.join(__dirname, '..', 'public', 'avatars')
+
+/* ==============================
+   processAvatar(buffer, userId)
+   Check the upload and write every variant to public/avatars.
+   Returns { avatar } with the value to store in user.avatar:
+   { hash, updatedAt, variants: [{ size, format, fileName, bytes }] }
+   or { error } when the upload is not an acceptable image
+  ============================== */
+async function processAvatar(buffer, userId) {
+    // === SNIFF FILE TYPE ===
+    let metadata
+
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata()
+    } catch (err) {
+        return { error: 'File is not a supported image' }
+    }
+
+    if (!ALLOWED_INPUT_FORMATS.includes(metadata.format)) {
+        return { error: `Images must be one of: ${ALLOWED_INPUT_FORMATS.join(', ')}` }
+    }
+
+    // === WRITE VARIANTS ===
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16)
+    const variants = []
+
+    fs.mkdirSync(AVATARS_DIR, { recursive: true })
+
+    for (const size of AVATAR_SIZES) {
+        for (const format of AVATAR_FORMATS) {
+            const fileName = `user_${userId}_${hash}_${size}.${format}`
+
+            // sharp drops EXIF / ICC / XMP metadata unless asked to keep it;
+            // rotate() first applies the EXIF orientation
+            const info = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false })
+                .rotate()
+                .resize(size, size, { fit: 'cover' })
+                .toFormat(format)
+                .toFile(path.join(AVATARS_DIR, fileName))
+
+            variants.push({ size, format, fileName, bytes: info.size })
+        }
+    }
+
+    return { avatar: { hash, updatedAt: new Date(), variants } }
+}
+
+// File names of every variant of a stored avatar (handles old string values too)
+function avatarFileNames(avatar) {
+    if (!avatar) return []
+    if (typeof avatar === 'string') return [avatar]
+    return (avatar.variants || []).map((variant) => variant.fileName)
+}
+
+// Delete every file of a stored avatar, ignoring files that are already gone
+function removeAvatarFiles(avatar) {
+    for (const fileName of avatarFileNames(avatar)) {
+        try {
+            fs.unlinkSync(path.join(AVATARS_DIR, path.basename(fileName)))
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err
+        }
+    }
+}
+
+module.exports = {
+    AVATAR_MAX_BYTES,
+    AVATARS_DIR,
+    processAvatar,
+    avatarFileNames,
+    removeAvatarFiles,
+}
@@ -0,0 +1,184 @@
+/* ==============================
+   BULK APPLICATION ACTIONS
+   One action applied to many of a user's applications at once
+   (POST /job-application/:userId/bulk). The route picks the
+   applications (by id or by filter, always inside one user's board);
+   this file checks the action and applies it to each application on
+   its own, at the version that was read, so every item gets its own
+   result and one failure doesn't stop the rest
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const JobApplication = require('../models/JobApplication')
+const timeline = require('./applicationTimeline')
+const { MAX_TAGS, parseTags } = require('./applicationInput')
+const { versionFilter, bumpVersion } = require('./etag')
+const { trashApplication } = require('./applicationTrash')
+
+// What a bulk request can do
+const BULK_ACTIONS = ['status', 'addTags', 'removeTags', 'archive', 'unarchive', 'delete']
+
+// Most applications one bulk request can change
+const MAX_BULK_ITEMS = 500
+
+// Result of an item that was saved by someone else after it was read
+const CHANGED_ELSEWHERE = 'This job application was changed by another request. Try again'
+
+/* ==============================
+   parseBulkAction(body)
+   - action            one of BULK_ACTIONS
+   - status            for "status": the stage key to move to
+   - statusChangedAt   for "status": optional backdate (like PUT)
+   - statusNote        for "status": optional note (like PUT)
+   - tags              for "addTags" / "removeTags": list of tags
+   Returns { value: { action, status, tags, transition } } or { error }
+  ============================== */
+function parseBulkAction(body) {
+    const { action } = body
+
+    if (!BULK_ACTIONS.includes(action)) {
+        return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` }
+    }
+
+    const value = { action }
+
+    if (action === 'status') {
+        if (typeof body.status !== 'string' || !body.status.trim()) {
+            return { error: 'status is required for the status action' }
+        }
+        value.status = body.status.trim()
+
+        const transition = timeline.parseTransition({ occurredAt: body.statusChangedAt, note: body.statusNote })
+        if (transition.error) return transition
+
+        value.transition = transition
+    }
+
+    if (action === 'addTags' || action === 'removeTags') {
+        const parsed = parseTags(body.tags)
+
+        if (parsed.error || parsed.tags.length === 0) {
+            return { error: parsed.error || `tags are required for the ${action} action` }
+        }
+        value.tags = parsed.tags
+    }
+
+    return { value }
+}
+
+/* ==============================
+   planChange(application, action)
+   What the action would change on one application, without saving.
+   Returns { update, changes } (update = null when nothing would change,
+   changes = [{ field, from, to }]) or { error }
+  ============================== */
+function planChange(application, { action, status, tags }) {
+    const current = application.tags ? [...application.tags] : []
+
+    switch (action) {
+        case 'status':
+            return application.status === status
+                ? { update: null, changes: [] }
+                : { update: { status }, changes: [{ field: 'status', from: application.status, to: status }] }
+
+        case 'addTags': {
+            const next = [...new Set([...current, ...tags])]
+
+            if (next.length === current.length) return { update: null, changes: [] }
+            if (next.length > MAX_TAGS) {
+                return { error: `An application can have at most ${MAX_TAGS} tags` }
+            }
+            return { update: { tags: next }, changes: [{ field: 'tags', from: current, to: next }] }
+        }
+
+        case 'removeTags': {
+            const next = current.filter((tag) => !tags.includes(tag))
+
+            return next.length === current.length
+                ? { update: null, changes: [] }
+                : { update: { tags: next }, changes: [{ field: 'tags', from: current, to: next }] }
+        }
+
+        case 'archive':
+        case 'unarchive': {
+            const archive = action === 'archive'
+
+            if (Boolean(application.archivedAt) === archive) return { update: null, changes: [] }
+
+            const archivedAt = archive ? new Date() : null
+            return {
+                update: { archivedAt },
+                changes: [{ field: 'archivedAt', from: application.archivedAt || null, to: archivedAt }],
+            }
+        }
+
+        case 'delete':
+            return { update: null, changes: [], remove: true }
+
+        default:
+            return { error: `Unknown action: ${action}` }
+    }
+}
+
+/* ==============================
+   applyToApplication(application, action, { dryRun }, req)
+   Plan (and unless dryRun, save) the action for one application.
+   Returns its result:
+   { id, outcome: 'succeeded' | 'unchanged' | 'failed', changes?, error? }
+   In a dry run "succeeded" means it would succeed
+  ============================== */
+async function applyToApplication(application, action, { dryRun = false } = {}, req) {
+    const id = String(application._id)
+    const plan = planChange(application, action)
+
+    if (plan.error) return { id, outcome: 'failed', error: plan.error }
+    if (!plan.update && !plan.remove) return { id, outcome: 'unchanged' }
+
+    // A backdated status change can't go before what's already on its timeline
+    if (plan.update && plan.update.status !== undefined) {
+        const dateCheck = await timeline.checkTransitionDate(application, action.transition.occurredAt)
+        if (dateCheck.error) return { id, outcome: 'failed', error: dateCheck.error }
+    }
+    if (dryRun) return { id, outcome: 'succeeded', changes: plan.changes }
+
+    // Deleting moves the application to the trash, like DELETE /:id
+    if (plan.remove) {
+        const trashed = await trashApplication(application, req, { filter: versionFilter(application) })
+        if (!trashed) return { id, outcome: 'failed', error: CHANGED_ELSEWHERE }
+
+        return { id, outcome: 'succeeded', changes: plan.changes }
+    }
+
+    const updated = await JobApplication.findOneAndUpdate(
+        versionFilter(application),
+        { ...plan.update, ...bumpVersion },
+        { new: true }
+    )
+
+    if (!updated) return { id, outcome: 'failed', error: CHANGED_ELSEWHERE }
+
+    if (updated.status !== application.status) {
+        await timeline.recordStatusChange(updated, application.status, action.transition, req)
+    }
+
+    return { id, outcome: 'succeeded', changes: plan.changes }
+}
+
+// How many results have each outcome
+function summarize(results) {
+    const summary = { total: results.length, succeeded: 0, unchanged: 0, failed: 0 }
+
+    for (const result of results) summary[result.outcome] += 1
+
+    return summary
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    MAX_BULK_ITEMS,
+    parseBulkAction,
+    planChange,
+    applyToApplication,
+    summarize,
+}
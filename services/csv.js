@@ -0,0 +1,40 @@
+/* ==============================
+   CSV
+   Builds RFC 4180 CSV text for downloads (data export, reports)
+  ============================== */
+
+/* Quote a single value when needed. Text starting with = + - @ gets a
+   leading ' so spreadsheet apps don't run it as a formula */
+function csvValue(value) {
+    if (value === null || value === undefined) return ''
+
+    let text = value instanceof Date ? value.toISOString() : String(value)
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/* ==============================
+   toCsv(rows, columns)
+   rows: array of plain objects
+   columns: array of { key, header } or key strings; arrays are joined with "; "
+  ============================== */
+function toCsv(rows, columns) {
+    const cols = columns.map((column) => typeof column === 'string' ? { key: column, header: column } : column)
+
+    const lines = [cols.map((column) => csvValue(column.header)).join(',')]
+
+    for (const row of rows) {
+        lines.push(cols.map((column) => {
+            const value = row[column.key]
+            return csvValue(Array.isArray(value) ? value.join('; ') : value)
+        }).join(','))
+    }
+
+    return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = {
+    toCsv,
+}
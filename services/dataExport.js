@@ -0,0 +1,356 @@
+/* ==============================
+   DATA EXPORT SERVICE
+   Builds the personal data export ZIP (GET /user/:id/export):
+   - manifest.json       what is in the archive
+   - profile.json        the user's own profile, preferences and board stages
+   - applications.json   every job application
+   - applications.csv    the same, for spreadsheets
+   - timeline.json       every status change of those applications
+   - avatar/...          the avatar image (every size)
+   - documents/...       every file referenced by the applications
+   Small exports are streamed straight back; bigger ones are built in
+   the background into the exports folder and downloaded later with a
+   link that expires
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const fs = require('fs')
+const archiver = require('archiver')
+
+const User = require('../models/User')
+const JobApplication = require('../models/JobApplication')
+const DataExport = require('../models/DataExport')
+const ApplicationEvent = require('../models/ApplicationEvent')
+const PipelineStage = require('../models/PipelineStage')
+const { serializeUser, serializePreferences } = require('../serializers/user')
+const { serializeJobApplication, serializeApplicationEvent } = require('../serializers/jobApplication')
+const { toCsv } = require('./csv')
+const { AVATARS_DIR, avatarFileNames } = require('./avatar')
+const { documentPath, ownedFileNames } = require('./documents')
+const Utils = require('../Utils')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Where finished archives are kept until they expire (not inside public/)
+const EXPORTS_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports')
+
+// Exports whose files add up to more than this are built in the background
+const DATA_EXPORT_SYNC_MAX_BYTES = (Number(process.env.DATA_EXPORT_SYNC_MAX_MB) || 10) * 1024 * 1024
+
+// How long a finished archive is kept (in hours)
+const DATA_EXPORT_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS) || 24
+
+// How long each download link works (in minutes)
+const DATA_EXPORT_LINK_TTL_MINUTES = Number(process.env.DATA_EXPORT_LINK_TTL_MINUTES) || 15
+
+// An export still not built after this long (in minutes) was cut off,
+// e.g. by a restart, and is marked failed so a new one can be asked for
+const DATA_EXPORT_BUILD_TIMEOUT_MINUTES = Number(process.env.DATA_EXPORT_BUILD_TIMEOUT_MINUTES) || 30
+
+// Columns of applications.csv
+const CSV_COLUMNS = [
+    'id',
+    'company',
+    'position',
+    'location',
+    'status',
+    'minSalary',
+    'maxSalary',
+    'dateApplied',
+    'interviewDate',
+    'interviewTime',
+    'jobUrl',
+    'notes',
+    'documents',
+    'createdAt',
+    'updatedAt',
+]
+
+/* ==============================
+   collectExport(userId)
+   Load everything that goes into the archive and work out its size.
+   Returns null when the user doesn't exist, otherwise
+   { user, stages, applications, events, files, missingFiles, totalBytes }
+  ============================== */
+async function collectExport(userId) {
+    const user = await User.findById(userId)
+    if (!user) return null
+
+    const stages = await PipelineStage.find({ user: user._id }).sort({ order: 1 })
+    const applications = await JobApplication.find({ user: user._id }).sort({ createdAt: -1 })
+    const events = await ApplicationEvent.find({ user: user._id }).sort({ application: 1, occurredAt: 1 })
+
+    const files = []
+    const missingFiles = []
+
+    // Add a file from disk if it is still there
+    const addFile = (diskPath, archivePath) => {
+        try {
+            const stats = fs.statSync(diskPath)
+            files.push({ diskPath, archivePath, size: stats.size })
+        } catch (err) {
+            missingFiles.push(archivePath)
+        }
+    }
+
+    for (const avatar of avatarFileNames(user.avatar)) {
+        const fileName = path.basename(avatar)
+        addFile(path.join(AVATARS_DIR, fileName), `avatar/${fileName}`)
+    }
+
+    // Only files the user uploaded: an application may still list a
+    // name that belongs to someone else (e.g. attached by an admin)
+    const listed = [...new Set(applications.flatMap((application) => application.documents || []))]
+    const documents = await ownedFileNames(user._id, listed)
+
+    for (const document of documents) {
+        const fileName = path.basename(document)
+        addFile(documentPath(fileName), `documents/${fileName}`)
+    }
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0)
+
+    return { user, stages, applications, events, files, missingFiles, totalBytes }
+}
+
+// True when an export is small enough to stream straight back
+function canExportNow(data) {
+    return data.totalBytes <= DATA_EXPORT_SYNC_MAX_BYTES
+}
+
+/* ==============================
+   writeArchive(data, output)
+   Write the ZIP for data from collectExport() into a writable stream
+   (an HTTP response or a file). Resolves once the archive is complete
+  ============================== */
+function writeArchive(data, output) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } })
+
+        archive.on('error', reject)
+        archive.on('warning', reject)
+        output.on('error', reject)
+
+        // Files finish on 'close', HTTP responses on 'finish'
+        output.on(output instanceof fs.WriteStream ? 'close' : 'finish', resolve)
+
+        archive.pipe(output)
+
+        const profile = {
+            ...serializeUser(data.user, { view: 'self' }),
+            preferences: serializePreferences(data.user),
+            stages: (data.stages || []).map((stage) => ({
+                key: stage.key,
+                name: stage.name,
+                color: stage.color,
+                outcome: stage.outcome,
+                archived: Boolean(stage.archivedAt),
+            })),
+        }
+        const applications = data.applications.map((application) => serializeJobApplication(application))
+
+        const json = (value) => JSON.stringify(value, null, 2)
+
+        archive.append(json(profile), { name: 'profile.json' })
+        archive.append(json(applications), { name: 'applications.json' })
+        archive.append(toCsv(applications, CSV_COLUMNS), { name: 'applications.csv' })
+        archive.append(json(data.events.map((event) => ({
+            application: String(event.application),
+            ...serializeApplicationEvent(event),
+        }))), { name: 'timeline.json' })
+
+        for (const file of data.files) {
+            archive.file(file.diskPath, { name: file.archivePath })
+        }
+
+        archive.append(json({
+            generatedAt: new Date(),
+            user: profile.id,
+            counts: {
+                applications: applications.length,
+                documents: data.files.filter((file) => file.archivePath.startsWith('documents/')).length,
+            },
+            files: [
+                { path: 'profile.json', description: 'Your profile' },
+                { path: 'applications.json', description: 'Your job applications' },
+                { path: 'applications.csv', description: 'Your job applications, for spreadsheets' },
+                { path: 'timeline.json', description: 'Status history of your job applications' },
+                ...data.files.map((file) => ({ path: file.archivePath, size: file.size })),
+            ],
+            // Referenced by an application but no longer on the server
+            missingFiles: data.missingFiles,
+        }), { name: 'manifest.json' })
+
+        archive.finalize().catch(reject)
+    })
+}
+
+// File name offered to the browser
+function downloadFileName(date = new Date()) {
+    return `nextep-export-${date.toISOString().slice(0, 10)}.zip`
+}
+
+/* ==============================
+   BACKGROUND EXPORTS
+  ============================== */
+
+// Full path of an export's ZIP
+function exportPath(dataExport) {
+    return path.join(EXPORTS_DIR, `${dataExport._id}.zip`)
+}
+
+// Build the ZIP for a DataExport record and mark it ready (or failed)
+async function buildExport(exportId) {
+    const dataExport = await DataExport.findByIdAndUpdate(exportId, { status: 'processing' }, { new: true })
+    if (!dataExport) return
+
+    try {
+        const data = await collectExport(dataExport.user)
+        if (!data) throw new Error('User not found')
+
+        fs.mkdirSync(EXPORTS_DIR, { recursive: true })
+
+        const filePath = exportPath(dataExport)
+        await writeArchive(data, fs.createWriteStream(filePath))
+
+        dataExport.status = 'ready'
+        dataExport.fileName = path.basename(filePath)
+        dataExport.size = fs.statSync(filePath).size
+        dataExport.completedAt = new Date()
+        dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000)
+        await dataExport.save()
+
+        console.log('Data export ready', dataExport.id)
+    } catch (err) {
+        console.error('Error building data export:', err)
+
+        dataExport.status = 'failed'
+        dataExport.error = err.message
+        await dataExport.save()
+    }
+}
+
+// Exports waiting or being built that haven't moved for too long
+function stalledFilter() {
+    return {
+        status: { $in: ['pending', 'processing'] },
+        updatedAt: { $lt: new Date(Date.now() - DATA_EXPORT_BUILD_TIMEOUT_MINUTES * 60 * 1000) },
+    }
+}
+
+// Mark stalled exports failed so they are no longer handed back
+async function failStalledExports() {
+    const result = await DataExport.updateMany(stalledFilter(), {
+        status: 'failed',
+        error: 'The export was interrupted. Please ask for a new one',
+    })
+
+    return result.modifiedCount
+}
+
+/* ==============================
+   startBackgroundExport(userId, requestedBy)
+   Queue an export and build it after the response has been sent.
+   An export that is already on its way is reused, unless it has
+   stalled (see DATA_EXPORT_BUILD_TIMEOUT_MINUTES).
+   Returns the DataExport record
+  ============================== */
+async function startBackgroundExport(userId, requestedBy) {
+    await failStalledExports()
+
+    const inProgress = await DataExport.findOne({
+        user: userId,
+        status: { $in: ['pending', 'processing'] },
+    })
+
+    if (inProgress) return inProgress
+
+    const dataExport = await DataExport.create({
+        user: userId,
+        requestedBy,
+        // Cleaned up even if the server stops half way through
+        expiresAt: new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000),
+    })
+
+    setImmediate(() => {
+        buildExport(dataExport._id).catch((err) => console.error('Error building data export:', err))
+    })
+
+    return dataExport
+}
+
+/* ==============================
+   downloadLinkFor(dataExport)
+   A token for GET /exports/:token that stops working after
+   DATA_EXPORT_LINK_TTL_MINUTES (or when the export expires, if sooner).
+   Returns { token, expiresAt }
+  ============================== */
+function downloadLinkFor(dataExport) {
+    const linkExpiresAt = Math.min(
+        Date.now() + DATA_EXPORT_LINK_TTL_MINUTES * 60 * 1000,
+        dataExport.expiresAt.getTime()
+    )
+    const expiresInSeconds = Math.max(1, Math.floor((linkExpiresAt - Date.now()) / 1000))
+
+    return {
+        token: Utils.generateDownloadToken(dataExport._id, expiresInSeconds),
+        expiresAt: new Date(linkExpiresAt),
+    }
+}
+
+// Delete export archives (and their records) matching a filter
+async function removeExports(filter) {
+    const exports = await DataExport.find(filter)
+
+    for (const dataExport of exports) {
+        try {
+            fs.unlinkSync(exportPath(dataExport))
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err
+        }
+    }
+
+    await DataExport.deleteMany({ _id: { $in: exports.map((dataExport) => dataExport._id) } })
+
+    return exports.length
+}
+
+// Remove every export that has expired
+function removeExpiredExports() {
+    return removeExports({ expiresAt: { $lte: new Date() } })
+}
+
+// Remove every export of a user (when the account is purged)
+function removeExportsForUser(userId) {
+    return removeExports({ user: userId })
+}
+
+/* ==============================
+   startExportCleanupJob()
+   Fail stalled exports and remove expired ones now and then every hour
+  ============================== */
+function startExportCleanupJob() {
+    const run = () => failStalledExports().then(removeExpiredExports).catch((err) => {
+        console.error('Error removing expired data exports:', err)
+    })
+
+    run()
+
+    // unref() so the timer never keeps the process alive on its own
+    setInterval(run, 60 * 60 * 1000).unref()
+}
+
+module.exports = {
+    collectExport,
+    canExportNow,
+    writeArchive,
+    downloadFileName,
+    exportPath,
+    startBackgroundExport,
+    downloadLinkFor,
+    removeExportsForUser,
+    startExportCleanupJob,
+}
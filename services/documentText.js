@@ -0,0 +1,201 @@
+/* ==============================
+   DOCUMENT TEXT SERVICE
+   Reads the text out of uploaded documents (PDF, DOCX and plain text)
+   so application search can find words inside them:
+   - the text of each file is kept in DocumentText (models/DocumentText.js),
+     with the file's owner so it only reaches that user's applications
+   - each application keeps a copy of its documents' text in
+     documentsText, which is part of its text index
+   Both are refreshed when a document is uploaded and when an
+   application's documents change
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const fs = require('fs')
+const mammoth = require('mammoth')
+
+// The package's index file runs a self-test when loaded, so load the parser directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js')
+
+const DocumentText = require('../models/DocumentText')
+const Document = require('../models/Document')
+const JobApplication = require('../models/JobApplication')
+const { documentPath } = require('./documents')
+
+// Most characters kept from one document (a long CV is ~20,000)
+const MAX_TEXT_LENGTH = 100000
+
+// Files bigger than this are not read at all
+const MAX_FILE_BYTES = 20 * 1024 * 1024
+
+/* ==============================
+   EXTRACTION
+  ============================== */
+
+/* Read the text of one file. The type comes from the file contents
+   (PDF / ZIP signature) with the extension only used to tell DOCX from
+   other ZIP files and to accept plain text.
+   Returns { text } or { error } */
+async function extractText(filePath) {
+    const buffer = await fs.promises.readFile(filePath)
+    const extension = path.extname(filePath).toLowerCase()
+
+    try {
+        let text
+
+        if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+            text = (await pdfParse(buffer)).text
+        } else if (buffer.subarray(0, 2).toString('latin1') === 'PK' && extension === '.docx') {
+            text = (await mammoth.extractRawText({ buffer })).value
+        } else if (['.txt', '.md'].includes(extension)) {
+            text = buffer.toString('utf8')
+        } else {
+            return { error: 'Unsupported document type' }
+        }
+
+        // Collapse whitespace so snippets read well
+        return { text: text.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH) }
+    } catch (err) {
+        return { error: `Could not read document: ${err.message}` }
+    }
+}
+
+/* ==============================
+   indexDocument(fileName)
+   Extract (or re-extract, if the file changed) a document's text and
+   refresh every application of its owner that uses it.
+   Files with no Document (no known owner) are skipped
+  ============================== */
+async function indexDocument(fileName) {
+    const document = await Document.findOne({ fileName })
+    if (!document) return null
+
+    const filePath = documentPath(fileName)
+
+    let stats = null
+
+    try {
+        stats = await fs.promises.stat(filePath)
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+    }
+
+    const existing = await DocumentText.findOne({ document: document._id })
+
+    // Nothing to do when the same file was already read
+    if (existing && stats && existing.size === stats.size
+        && existing.modifiedAt && existing.modifiedAt.getTime() === stats.mtime.getTime()) {
+        return existing
+    }
+
+    let result
+
+    if (!stats) result = { error: 'File not found' }
+    else if (stats.size > MAX_FILE_BYTES) result = { error: 'File is too big to search' }
+    else result = await extractText(filePath)
+
+    const documentText = await DocumentText.findOneAndUpdate(
+        { document: document._id },
+        {
+            user: document.user,
+            fileName,
+            text: result.text || '',
+            error: result.error,
+            size: stats ? stats.size : undefined,
+            modifiedAt: stats ? stats.mtime : undefined,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+
+    await refreshSearchText({ user: document.user, documents: fileName })
+
+    return documentText
+}
+
+/* ==============================
+   indexDocumentsInBackground(fileNames)
+   indexDocument() each file after the response has been sent (reading
+   big PDFs can take a while)
+  ============================== */
+function indexDocumentsInBackground(fileNames) {
+    setImmediate(async () => {
+        for (const fileName of fileNames) {
+            try {
+                await indexDocument(fileName)
+            } catch (err) {
+                console.error('Error indexing document', fileName, err)
+            }
+        }
+    })
+}
+
+/* ==============================
+   APPLICATIONS
+  ============================== */
+
+// The text of the documents userId uploaded among fileNames, ready to
+// store in documentsText on one of their applications
+async function documentsTextFor(userId, fileNames) {
+    if (!Array.isArray(fileNames) || fileNames.length === 0) return ''
+
+    const texts = await DocumentText.find({ user: userId, fileName: { $in: fileNames } }).select('text')
+    return texts.map((entry) => entry.text).filter(Boolean).join('\n')
+}
+
+// Recompute documentsText for every application matching filter
+async function refreshSearchText(filter) {
+    const applications = await JobApplication.find(filter).select('user documents')
+
+    for (const application of applications) {
+        await JobApplication.updateOne(
+            { _id: application._id },
+            { documentsText: await documentsTextFor(application.user, application.documents) },
+            { timestamps: false }
+        )
+    }
+
+    return applications.length
+}
+
+// Forget a document's text (when the file itself is deleted)
+function removeDocumentText(fileName) {
+    return DocumentText.deleteOne({ fileName })
+}
+
+/* ==============================
+   removeUnreferencedDocuments(fileNames)
+   Delete the files (with their text and Document record) that no
+   application points at any more - an application in the trash still
+   counts. Returns the names of the files removed
+  ============================== */
+async function removeUnreferencedDocuments(fileNames) {
+    const removed = []
+
+    for (const fileName of new Set(fileNames)) {
+        if (await JobApplication.exists({ documents: fileName })) continue
+
+        try {
+            await fs.promises.unlink(documentPath(fileName))
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err
+        }
+
+        await removeDocumentText(fileName)
+        await Document.deleteOne({ fileName })
+        removed.push(fileName)
+    }
+
+    return removed
+}
+
+module.exports = {
+    extractText,
+    indexDocument,
+    indexDocumentsInBackground,
+    documentsTextFor,
+    refreshSearchText,
+    removeDocumentText,
+    removeUnreferencedDocuments,
+}
@@ -0,0 +1,77 @@
+/* ==============================
+   DOCUMENTS SERVICE
+   Where uploaded job application documents live and who they belong
+   to. Files are kept outside public/ so they are never served
+   statically: every download goes through
+   GET /job-application/documents/:fileName, which checks the owner
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const crypto = require('crypto')
+
+const Document = require('../models/Document')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Folder the uploaded files are stored in (DOCUMENTS_DIR in .env to change it)
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(__dirname, '..', 'storage', 'documents')
+
+// Where documents were kept (and served from) before they had owners
+const LEGACY_DOCUMENTS_DIR = path.join(__dirname, '..', 'public', 'documents')
+
+// Absolute path of a stored document
+function documentPath(fileName) {
+    return path.join(DOCUMENTS_DIR, path.basename(fileName))
+}
+
+/* The name an upload is stored under: a random prefix, so no two
+   uploads share a name, followed by the original name made safe for
+   the file system, e.g. "9f86d081884c7d659a2feaa0-my_cv.pdf" */
+function storedFileName(originalName) {
+    const safeName = path.basename(String(originalName || 'document'))
+        .replace(/[^\w.-]+/g, '_')
+        .slice(-100)
+
+    return `${crypto.randomBytes(12).toString('hex')}-${safeName}`
+}
+
+/* ==============================
+   checkDocuments(fileNames, { uploaders, existing })
+   Every document an application lists must have been uploaded by one
+   of `uploaders` (the signed-in user, and the application's owner when
+   an admin edits someone else's application). Names in `existing` -
+   the ones the application already has - may stay.
+   Returns {} or { error }
+  ============================== */
+async function checkDocuments(fileNames, { uploaders, existing = [] }) {
+    const added = [...new Set(fileNames || [])].filter((fileName) => !existing.includes(fileName))
+    if (added.length === 0) return {}
+
+    const owned = await Document.find({
+        fileName: { $in: added },
+        user: { $in: uploaders.filter(Boolean).map(String) },
+    }).distinct('fileName')
+
+    const foreign = added.find((fileName) => !owned.includes(fileName))
+
+    return foreign
+        ? { error: `documents can only list files you uploaded (${foreign} is not one of them)` }
+        : {}
+}
+
+// The names in fileNames of documents uploaded by userId
+function ownedFileNames(userId, fileNames) {
+    return Document.find({ user: userId, fileName: { $in: fileNames || [] } }).distinct('fileName')
+}
+
+module.exports = {
+    DOCUMENTS_DIR,
+    LEGACY_DOCUMENTS_DIR,
+    documentPath,
+    storedFileName,
+    checkDocuments,
+    ownedFileNames,
+}
@@ -0,0 +1,59 @@
+/* ==============================
+   EMAIL VERIFICATION SERVICE
+   Shared by sign up (POST /user), email changes (PUT /user/:id) and
+   /auth/resend-verification, so every route sends the same emails
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const UserToken = require('../models/UserToken')
+const Mailer = require('../mailer')
+const emailTemplates = require('../mailer/templates')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// How long an email verification link stays valid (in hours)
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48
+
+/* ==============================
+   sendVerificationEmail(user, email)
+   Email a confirmation link for `email` - the user's current address
+   after sign up, or their pendingEmail after an email change
+  ============================== */
+async function sendVerificationEmail(user, email = user.email) {
+    const token = await UserToken.issue(
+        user._id,
+        'email-verification',
+        EMAIL_VERIFICATION_TTL_HOURS * 60,
+        { email }
+    )
+
+    Mailer.sendInBackground({
+        to: email,
+        ...emailTemplates.emailVerification(user, token, EMAIL_VERIFICATION_TTL_HOURS),
+    })
+}
+
+/* ==============================
+   requestEmailChange(user, newEmail)
+   Save newEmail as the user's pendingEmail, send it a confirmation link
+   and warn the old address. user.email itself does not change until the
+   link is opened (POST /auth/verify-email)
+  ============================== */
+async function requestEmailChange(user, newEmail) {
+    user.pendingEmail = newEmail
+    await user.save()
+
+    await sendVerificationEmail(user, user.pendingEmail)
+
+    Mailer.sendInBackground({
+        to: user.email,
+        ...emailTemplates.emailChangeNotice(user, user.pendingEmail),
+    })
+}
+
+module.exports = {
+    sendVerificationEmail,
+    requestEmailChange,
+}
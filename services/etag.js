@@ -0,0 +1,78 @@
+/* ==============================
+   ETAG SERVICE
+   Optimistic concurrency for job applications. Every application has
+   a version (the __v key, raised by one on every write) which is sent
+   as the ETag header and as `version` in the JSON.
+   A client that sends the ETag back in If-Match only writes when
+   nobody changed the application since it was read; otherwise the
+   route answers 412 Precondition Failed
+  ============================== */
+
+// The version of a document (documents saved before versions were
+// raised on every write count as 0)
+function versionOf(doc) {
+    return doc.__v || 0
+}
+
+// The ETag for a document, e.g. "3"
+function etagFor(doc) {
+    return `"${versionOf(doc)}"`
+}
+
+// Send the document's ETag with the response
+function setETag(res, doc) {
+    res.set('ETag', etagFor(doc))
+}
+
+// True when the request has an If-Match header
+function hasIfMatch(req) {
+    return Boolean(req.get('If-Match'))
+}
+
+/* ==============================
+   isStale(req, doc)
+   True when the client sent If-Match and none of its ETags is the
+   document's current one ("*" matches any version).
+   W/ prefixes are ignored so a proxy weakening the ETag doesn't break writes
+  ============================== */
+function isStale(req, doc) {
+    const header = req.get('If-Match')
+    if (!header) return false
+    if (header.trim() === '*') return false
+
+    const tags = header.split(',').map((tag) => tag.trim().replace(/^W\//, ''))
+    return !tags.includes(etagFor(doc))
+}
+
+/* The filter for writing `doc` only if it is still at the version that
+   was read, and the update that raises the version */
+function versionFilter(doc) {
+    return doc.__v === undefined || doc.__v === null
+        ? { _id: doc._id, __v: { $in: [null, 0] } }
+        : { _id: doc._id, __v: doc.__v }
+}
+
+const bumpVersion = { $inc: { __v: 1 } }
+
+// 412 response telling the client to reload before saving again
+function sendPreconditionFailed(res, doc) {
+    console.log('412 - Stale If-Match, application changed since it was read')
+
+    if (doc) setETag(res, doc)
+
+    return res.status(412).json({
+        message: 'This job application was changed somewhere else. Reload it and try again',
+        currentVersion: doc ? versionOf(doc) : null,
+    })
+}
+
+module.exports = {
+    versionOf,
+    etagFor,
+    setETag,
+    hasIfMatch,
+    isStale,
+    versionFilter,
+    bumpVersion,
+    sendPreconditionFailed,
+}
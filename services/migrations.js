@@ -0,0 +1,379 @@
+/* ==============================
+   DATA MIGRATIONS
+   Small fixes that bring documents saved by older versions of the API
+   up to date. Each one runs once, when the server connects to MongoDB,
+   and is then recorded in the migrations collection (models/Migration.js)
+   so later starts skip it. A migration that fails part way is run again
+   on the next start, so each one must only touch documents that still
+   need it
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const path = require('path')
+const fs = require('fs')
+
+const User = require('../models/User')
+const Migration = require('../models/Migration')
+const JobApplication = require('../models/JobApplication')
+const ApplicationEvent = require('../models/ApplicationEvent')
+const PipelineStage = require('../models/PipelineStage')
+const { ensureDefaultStages, FALLBACK_STAGE_COLOR } = require('./pipelineStages')
+const DocumentText = require('../models/DocumentText')
+const { indexDocument, refreshSearchText } = require('./documentText')
+const { createdEventDate, moveCreatedEvent } = require('./applicationTimeline')
+const Document = require('../models/Document')
+const { LEGACY_DOCUMENTS_DIR, DOCUMENTS_DIR, documentPath } = require('./documents')
+const { DEFAULT_ROLE } = require('../config/roles')
+
+/* Avatars used to be a single file name (user_<id>.png, 300x300 PNG).
+   Turn them into the { variants } shape from services/avatar.js.
+   Uses the raw collection because the old values don't fit the schema */
+async function migrateLegacyAvatars() {
+    const cleared = await User.collection.updateMany(
+        { avatar: '' },
+        { $set: { avatar: null } }
+    )
+
+    const converted = await User.collection.updateMany(
+        { avatar: { $type: 'string' } },
+        [{
+            $set: {
+                avatar: {
+                    hash: null,
+                    updatedAt: '$updatedAt',
+                    variants: [{ size: 300, format: 'png', fileName: '$avatar' }],
+                },
+            },
+        }]
+    )
+
+    return cleared.modifiedCount + converted.modifiedCount
+}
+
+/* The newUser flag became per-feature onboarding flags in user.preferences.
+   A user who had finished the first-time guide has seen every guide */
+async function migrateNewUserFlag() {
+    const seen = { $not: ['$newUser'] }
+
+    const result = await User.collection.updateMany(
+        { newUser: { $exists: true } },
+        [
+            {
+                $set: {
+                    'preferences.onboarding': {
+                        $ifNull: [
+                            '$preferences.onboarding',
+                            { welcome: seen, board: seen, documents: seen, analytics: seen },
+                        ],
+                    },
+                },
+            },
+            { $unset: 'newUser' },
+        ]
+    )
+
+    return result.modifiedCount
+}
+
+/* Applications created before the timeline existed get a "created"
+   event with their current status (earlier status changes were never
+   recorded, so they can't be rebuilt) */
+async function migrateApplicationTimelines() {
+    const missing = await JobApplication.aggregate([
+        {
+            $lookup: {
+                from: ApplicationEvent.collection.name,
+                localField: '_id',
+                foreignField: 'application',
+                as: 'events',
+                pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+            },
+        },
+        { $match: { events: { $size: 0 } } },
+        { $project: { user: 1, status: 1, createdAt: 1, dateApplied: 1 } },
+    ])
+
+    if (missing.length === 0) return 0
+
+    await ApplicationEvent.insertMany(missing.map((application) => ({
+        application: application._id,
+        user: application.user,
+        type: 'created',
+        toStatus: application.status,
+        occurredAt: createdEventDate({ ...application, createdAt: application.createdAt || application._id.getTimestamp() }),
+    })))
+
+    return missing.length
+}
+
+/* Statuses used to be a fixed list; now each user has their own stages.
+   Every user with applications gets the default stages (which use the
+   old status values as keys), plus a stage for any other status found
+   on their applications so nothing falls off the board */
+async function migratePipelineStages() {
+    const statusesByUser = await JobApplication.aggregate([
+        { $group: { _id: '$user', statuses: { $addToSet: '$status' } } },
+    ])
+
+    let created = 0
+
+    for (const { _id: userId, statuses } of statusesByUser) {
+        await ensureDefaultStages(userId)
+
+        const stages = await PipelineStage.find({ user: userId }).select('key order')
+        const keys = stages.map((stage) => stage.key)
+        let order = Math.max(-1, ...stages.map((stage) => stage.order))
+
+        for (const status of statuses) {
+            if (!status || keys.includes(status)) continue
+
+            await PipelineStage.create({
+                user: userId,
+                key: status,
+                name: (status.charAt(0).toUpperCase() + status.slice(1)).slice(0, 40),
+                color: FALLBACK_STAGE_COLOR,
+                order: ++order,
+            })
+            created++
+        }
+    }
+
+    return created
+}
+
+/* Read the text of every document uploaded before search existed
+   (indexDocument also fills in documentsText on the applications) */
+async function migrateDocumentText() {
+    const fileNames = await JobApplication.distinct('documents')
+    const indexed = await DocumentText.distinct('fileName', { fileName: { $in: fileNames } })
+    const missing = fileNames.filter((fileName) => fileName && !indexed.includes(fileName))
+
+    for (const fileName of missing) {
+        await indexDocument(fileName)
+    }
+
+    return missing.length
+}
+
+/* Move a file from public/documents to the private documents folder.
+   Returns its size, or undefined when the file is in neither place */
+async function moveLegacyDocument(fileName) {
+    const from = path.join(LEGACY_DOCUMENTS_DIR, path.basename(fileName))
+    const to = documentPath(fileName)
+
+    try {
+        await fs.promises.rename(from, to)
+    } catch (err) {
+        if (err.code === 'EXDEV') {
+            // Different disks: copy, then remove the public copy
+            await fs.promises.copyFile(from, to)
+            await fs.promises.unlink(from)
+        } else if (err.code !== 'ENOENT') {
+            throw err
+        }
+    }
+
+    try {
+        return (await fs.promises.stat(to)).size
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+        return undefined
+    }
+}
+
+/* Documents used to be stored in public/documents under their original
+   names with no owner, so anyone could download them and two users
+   uploading "cv.pdf" shared one file. Move every file to the private
+   documents folder and give each file an owner: the user whose
+   application used it first. Other users' applications listing the
+   same name lose it (their copy was overwritten long ago) */
+async function migrateDocumentOwners() {
+    await fs.promises.mkdir(DOCUMENTS_DIR, { recursive: true })
+
+    const fileNames = (await JobApplication.distinct('documents')).filter(Boolean)
+    const known = await Document.distinct('fileName', { fileName: { $in: fileNames } })
+    let changed = 0
+
+    for (const fileName of fileNames.filter((name) => !known.includes(name))) {
+        const first = await JobApplication.findOne({ documents: fileName }).sort({ createdAt: 1, _id: 1 }).select('user')
+
+        await Document.create({
+            user: first.user,
+            fileName,
+            originalName: fileName,
+            size: await moveLegacyDocument(fileName),
+        })
+
+        // Its text was read from the old folder (if at all); read it again
+        await indexDocument(fileName)
+
+        const others = await JobApplication.find({ documents: fileName, user: { $ne: first.user } }).select('_id')
+
+        if (others.length) {
+            const ids = others.map((application) => application._id)
+
+            await JobApplication.updateMany({ _id: { $in: ids } }, { $pull: { documents: fileName }, $inc: { __v: 1 } })
+            await refreshSearchText({ _id: { $in: ids } })
+            console.log(`Migration document-owners: ${fileName} removed from ${ids.length} other user(s) application(s)`)
+        }
+
+        changed++
+    }
+
+    // Files no application uses are moved too, so nothing is left in public/
+    const leftOver = await fs.promises.readdir(LEGACY_DOCUMENTS_DIR).catch(() => [])
+
+    for (const fileName of leftOver) {
+        await moveLegacyDocument(fileName)
+    }
+
+    return changed
+}
+
+/* Document text used to be kept by file name only, so an application
+   listing someone else's file name got their text in its search. Link
+   every entry to its Document and owner (dropping the ones with no
+   known owner), then rebuild the search text of every application
+   from its owner's documents only */
+async function migrateDocumentTextOwners() {
+    const unlinked = await DocumentText.collection.find({ document: { $exists: false } }).toArray()
+
+    for (const entry of unlinked) {
+        const document = await Document.findOne({ fileName: entry.fileName })
+        const linked = document && await DocumentText.exists({ document: document._id })
+
+        if (!document || linked) {
+            await DocumentText.collection.deleteOne({ _id: entry._id })
+        } else {
+            await DocumentText.collection.updateOne(
+                { _id: entry._id },
+                { $set: { document: document._id, user: document.user } }
+            )
+        }
+    }
+
+    const refreshed = await refreshSearchText({ 'documents.0': { $exists: true } })
+
+    return unlinked.length + refreshed
+}
+
+/* Moves made when a stage was deleted weren't told apart from the
+   user's own, so analytics counted them as responses. Flag them by
+   the note moveApplications() gives them */
+async function migrateAutomaticStatusChanges() {
+    const result = await ApplicationEvent.updateMany(
+        { type: 'status_changed', automatic: { $ne: true }, note: /^Stage ".*" was deleted$/ },
+        { $set: { automatic: true } }
+    )
+
+    return result.modifiedCount
+}
+
+/* Withdrawn and ghosted applications could only be marked "lost",
+   the same as a rejection. Move stages with those names to the
+   "dropped" outcome (ended without an answer); users can change it
+   back on the board */
+async function migrateDroppedStages() {
+    const result = await PipelineStage.updateMany(
+        { outcome: 'lost', key: /^(withdrawn|withdrew|ghosted)(-|$)/ },
+        { $set: { outcome: 'dropped' } }
+    )
+
+    return result.modifiedCount
+}
+
+/* Named roles replaced the numeric accessLevel. Sign up used to give
+   every account accessLevel 1 (the admin level), so it can't tell who
+   was really an admin: every account saved before roles existed
+   becomes a regular user and the old field is dropped. An account that
+   was given a role since keeps it. Admins are made with
+   npm run create-admin or ADMIN_EMAIL; the accounts that had level 1
+   are logged so they can be checked by hand */
+async function migrateAccessLevels() {
+    const levelOne = await User.collection.find(
+        { accessLevel: { $in: [1, '1'] }, role: { $exists: false } },
+        { projection: { email: 1 } }
+    ).toArray()
+
+    for (const user of levelOne) {
+        console.log('Migration access-levels: had accessLevel 1, now a regular user:', user.email)
+    }
+
+    const result = await User.collection.updateMany(
+        { accessLevel: { $exists: true } },
+        [
+            { $set: { role: { $ifNull: ['$role', DEFAULT_ROLE] } } },
+            { $unset: 'accessLevel' },
+        ]
+    )
+
+    return result.modifiedCount
+}
+
+/* The "created" entry used to be dated when the application was added,
+   so an application logged weeks after it was sent couldn't have its
+   status changes backdated to before then. Date it on the date applied
+   when that was earlier (never after the entries that follow it) */
+async function migrateCreatedEventDates() {
+    const applications = await JobApplication.find({
+        dateApplied: { $ne: null },
+        $expr: { $lt: ['$dateApplied', '$createdAt'] },
+    })
+        .select('_id dateApplied createdAt')
+
+    let changed = 0
+
+    for (const application of applications) {
+        const result = await moveCreatedEvent(application)
+        changed += result.modifiedCount
+    }
+
+    return changed
+}
+
+// Every migration, in the order they were added
+const MIGRATIONS = [
+    { name: 'legacy-avatars', run: migrateLegacyAvatars },
+    { name: 'new-user-onboarding', run: migrateNewUserFlag },
+    { name: 'application-timelines', run: migrateApplicationTimelines },
+    { name: 'pipeline-stages', run: migratePipelineStages },
+    { name: 'document-text', run: migrateDocumentText },
+    { name: 'document-owners', run: migrateDocumentOwners },
+    { name: 'document-text-owners', run: migrateDocumentTextOwners },
+    { name: 'automatic-status-changes', run: migrateAutomaticStatusChanges },
+    { name: 'dropped-stages', run: migrateDroppedStages },
+    { name: 'access-levels', run: migrateAccessLevels },
+    { name: 'created-event-dates', run: migrateCreatedEventDates },
+]
+
+/* ==============================
+   runMigrations()
+   Run every migration that hasn't finished before, in order, and log
+   how many documents each one changed. Stops at the first failure so
+   later migrations never run on data an earlier one didn't fix
+  ============================== */
+async function runMigrations() {
+    const done = await Migration.distinct('name')
+
+    for (const migration of MIGRATIONS) {
+        if (done.includes(migration.name)) continue
+
+        const changed = await migration.run()
+
+        if (changed) {
+            console.log(`Migration ${migration.name}: updated ${changed} document(s)`)
+        }
+
+        // Another server instance may have finished the same migration
+        await Migration.updateOne(
+            { name: migration.name },
+            { $setOnInsert: { changed } },
+            { upsert: true }
+        )
+    }
+}
+
+module.exports = {
+    runMigrations,
+}
@@ -0,0 +1,179 @@
+/* ==============================
+   PAGINATION SERVICE
+   Page / limit query parsing, the pagination block in list responses
+   and RFC 8288 Link headers (first, prev, next, last), shared by the
+   list endpoints.
+   Also cursor pagination for lists that change while being read (the
+   job application board): each page ends with an opaque cursor that
+   points just after its last item
+  ============================== */
+
+const mongoose = require('mongoose')
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+/* ==============================
+   parsePagination(query, { defaultLimit, maxLimit })
+   Reads ?page=&limit= (page starts at 1).
+   Returns { page, limit, skip } or { error }
+  ============================== */
+function parsePagination(query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page)
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit)
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a whole number of 1 or more' }
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be a whole number between 1 and ${maxLimit}` }
+    }
+
+    return { page, limit, skip: (page - 1) * limit }
+}
+
+/* ==============================
+   parseSort(value, sortableFields, defaultSort)
+   Reads ?sort=field or ?sort=-field (descending).
+   Returns a Mongo sort object (with _id as a tie-breaker so pages are
+   stable) or { error }
+  ============================== */
+function parseSort(value, sortableFields, defaultSort) {
+    const raw = String(value || defaultSort)
+    const descending = raw.startsWith('-')
+    const field = descending ? raw.slice(1) : raw
+
+    if (!sortableFields.includes(field)) {
+        return { error: `sort must be one of: ${sortableFields.join(', ')} (prefix with - for descending)` }
+    }
+
+    return { sort: { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 } }
+}
+
+// The pagination block returned alongside list results
+function buildPaginationMeta({ page, limit, total }) {
+    const totalPages = Math.max(1, Math.ceil(total / limit))
+
+    return {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+    }
+}
+
+/* ==============================
+   setLinkHeader(req, res, meta)
+   Adds Link: <...?page=2>; rel="next", ... keeping the other query
+   parameters (search, filters, sort) as they were
+  ============================== */
+function setLinkHeader(req, res, meta) {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`
+
+    const pageUrl = (page) => {
+        const params = new URLSearchParams(req.query)
+        params.set('page', String(page))
+        params.set('limit', String(meta.limit))
+        return `${base}?${params.toString()}`
+    }
+
+    const links = [`<${pageUrl(1)}>; rel="first"`]
+
+    if (meta.hasPrevPage) links.push(`<${pageUrl(meta.page - 1)}>; rel="prev"`)
+    if (meta.hasNextPage) links.push(`<${pageUrl(meta.page + 1)}>; rel="next"`)
+
+    links.push(`<${pageUrl(meta.totalPages)}>; rel="last"`)
+
+    res.set('Link', links.join(', '))
+}
+
+/* ==============================
+   CURSORS
+  ============================== */
+
+/* encodeCursor(item, field)
+   The cursor for the page after `item` when sorting on `field`:
+   base64url JSON of the item's sort value (with its type) and _id */
+function encodeCursor(item, field) {
+    const value = item[field]
+
+    let type = typeof value
+    if (value === null || value === undefined) type = 'null'
+    else if (value instanceof Date) type = 'date'
+
+    const payload = {
+        v: type === 'date' ? value.toISOString() : (type === 'null' ? null : value),
+        t: type,
+        id: String(item._id),
+    }
+
+    return Buffer.from(JSON.stringify(payload)).toString('base64url')
+}
+
+/* decodeCursor(cursor)
+   Returns { value, id } or { error } when the cursor was not made by
+   encodeCursor() */
+function decodeCursor(cursor) {
+    try {
+        const { v, t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+
+        if (!mongoose.isValidObjectId(id) || !['string', 'number', 'date', 'null', 'boolean'].includes(t)) {
+            throw new Error('Bad cursor')
+        }
+
+        const value = t === 'date' ? new Date(v) : (t === 'null' ? null : v)
+
+        if (t === 'date' && isNaN(value.getTime())) throw new Error('Bad cursor')
+
+        return { value, id: new mongoose.Types.ObjectId(id) }
+    } catch (err) {
+        return { error: 'cursor is invalid, start again from the first page' }
+    }
+}
+
+/* ==============================
+   cursorFilter(field, direction, { value, id })
+   The Mongo filter for "everything after the cursor" when sorting on
+   { [field]: direction, _id: direction }.
+   Missing / null values sort first going up and last going down
+  ============================== */
+function cursorFilter(field, direction, { value, id }) {
+    const after = direction === 1 ? '$gt' : '$lt'
+
+    if (value === null) {
+        // Going up, every non-null value is still to come; going down, only
+        // the remaining nulls are
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } }
+    }
+
+    const rest = [
+        { [field]: { [after]: value } },
+        { [field]: value, _id: { [after]: id } },
+    ]
+
+    // Going down, nulls come after every value
+    if (direction === -1) rest.push({ [field]: null })
+
+    return { $or: rest }
+}
+
+// Escape user input before putting it in a RegExp
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+module.exports = {
+    parsePagination,
+    parseSort,
+    buildPaginationMeta,
+    setLinkHeader,
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+    escapeRegExp,
+}
@@ -0,0 +1,216 @@
+/* ==============================
+   PIPELINE STAGES SERVICE
+   Every user's board starts with the four stages the app always had
+   (applied, interviewing, offer, rejected), created the first time
+   their stages are needed. Helpers here check stage input and whether
+   an application may be put in a stage
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const PipelineStage = require('../models/PipelineStage')
+const JobApplication = require('../models/JobApplication')
+const User = require('../models/User')
+const { DEFAULTS } = require('../config/preferences')
+const timeline = require('./applicationTimeline')
+
+// Stages every board starts with. The keys are the old fixed statuses,
+// so applications saved before stages existed still fit
+const DEFAULT_STAGES = [
+    { key: 'applied', name: 'Applied', color: '#3b82f6', outcome: 'active' },
+    { key: 'interviewing', name: 'Interviewing', color: '#f59e0b', outcome: 'active' },
+    { key: 'offer', name: 'Offer', color: '#22c55e', outcome: 'won' },
+    { key: 'rejected', name: 'Rejected', color: '#ef4444', outcome: 'lost' },
+]
+
+// Most stages (archived included) one board can have
+const MAX_STAGES_PER_USER = 30
+
+// Colour used for stages created by the migration
+const FALLBACK_STAGE_COLOR = '#6b7280'
+
+// Allowed outcomes and name length (from the schema)
+function outcomes() {
+    return PipelineStage.schema.path('outcome').enumValues
+}
+
+function nameMaxLength() {
+    return PipelineStage.schema.path('name').options.maxlength
+}
+
+/* ==============================
+   LOADING
+  ============================== */
+
+/* Give a user the default stages if they have none yet. Safe to call
+   at the same time from two requests (the unique index wins) */
+async function ensureDefaultStages(userId) {
+    if (await PipelineStage.exists({ user: userId })) return
+
+    try {
+        await PipelineStage.insertMany(
+            DEFAULT_STAGES.map((stage, index) => ({ ...stage, user: userId, order: index })),
+            { ordered: false }
+        )
+    } catch (err) {
+        // 11000 = duplicate key: another request created them first
+        if (err.code !== 11000) throw err
+    }
+}
+
+/* ==============================
+   listStages(userId, { includeArchived })
+   A user's stages in board order (archived ones only when asked)
+  ============================== */
+async function listStages(userId, { includeArchived = false } = {}) {
+    await ensureDefaultStages(userId)
+
+    const filter = { user: userId }
+    if (!includeArchived) filter.archivedAt = null
+
+    return PipelineStage.find(filter).sort({ order: 1, _id: 1 })
+}
+
+// Keys of the stages an application can be moved into (not archived)
+async function usableStageKeys(userId) {
+    const stages = await listStages(userId)
+    return stages.map((stage) => stage.key)
+}
+
+/* ==============================
+   checkStatus(userId, status, { currentStatus })
+   Can an application on userId's board have this status?
+   Archived stages are refused unless the application is already in it.
+   Returns { stage } or { error }
+  ============================== */
+async function checkStatus(userId, status, { currentStatus } = {}) {
+    await ensureDefaultStages(userId)
+
+    const stage = typeof status === 'string'
+        ? await PipelineStage.findOne({ user: userId, key: status })
+        : null
+
+    if (!stage || (stage.archivedAt && status !== currentStatus)) {
+        const keys = await usableStageKeys(userId)
+        return { error: `status must be one of: ${keys.join(', ')}` }
+    }
+
+    return { stage }
+}
+
+/* ==============================
+   validateStage(body, { partial })
+   Check { name, color, outcome } for creating a stage (partial = false)
+   or changing one (partial = true, only the fields sent).
+   Returns { value } or { error }
+  ============================== */
+function validateStage(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Stage must be an object' }
+    }
+
+    const value = {}
+    const { name, color, outcome } = body
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > nameMaxLength()) {
+            return { error: `name is required and must be ${nameMaxLength()} characters or fewer` }
+        }
+        value.name = name.trim()
+    }
+
+    if (color !== undefined || !partial) {
+        if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+            return { error: 'color must be a hex colour like #3b82f6' }
+        }
+        value.color = color.toLowerCase()
+    }
+
+    if (outcome !== undefined) {
+        if (!outcomes().includes(outcome)) {
+            return { error: `outcome must be one of: ${outcomes().join(', ')}` }
+        }
+        value.outcome = outcome
+    }
+
+    return { value }
+}
+
+// A key for a new stage, from its name ("Phone screen" -> "phone-screen"),
+// made unique among `existingKeys`
+function stageKeyFor(name, existingKeys) {
+    const base = String(name)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 30) || 'stage'
+
+    let key = base
+
+    for (let n = 2; existingKeys.includes(key); n++) {
+        key = `${base}-${n}`
+    }
+
+    return key
+}
+
+/* ==============================
+   moveApplications(userId, fromKey, toKey, { note }, req)
+   Move every application in one stage to another (used when a stage
+   is deleted) and add the change to each timeline, flagged as
+   automatic since the user didn't pick the new stage.
+   Returns how many applications moved
+  ============================== */
+async function moveApplications(userId, fromKey, toKey, { note } = {}, req = null) {
+    const applications = await JobApplication.find({ user: userId, status: fromKey }).select('_id user')
+
+    if (applications.length === 0) return 0
+
+    await JobApplication.updateMany(
+        { _id: { $in: applications.map((application) => application._id) } },
+        { status: toKey, $inc: { __v: 1 } }
+    )
+
+    await timeline.recordStatusChanges(applications, fromKey, toKey, { note, automatic: true }, req)
+
+    return applications.length
+}
+
+/* ==============================
+   replaceDefaultStatus(userId, oldKey, newKey)
+   When the stage a user picked as the default for new applications is
+   archived or deleted, switch the default to newKey (or to the first
+   stage still on the board)
+  ============================== */
+async function replaceDefaultStatus(userId, oldKey, newKey = null) {
+    if (!newKey) {
+        const first = await PipelineStage.findOne({ user: userId, archivedAt: null, key: { $ne: oldKey } })
+            .sort({ order: 1, _id: 1 })
+
+        if (!first) return
+        newKey = first.key
+    }
+
+    // Users who never changed it have no stored value and get the default
+    const unset = oldKey === DEFAULTS.defaultStatus ? [{ 'preferences.defaultStatus': { $exists: false } }] : []
+
+    await User.updateOne(
+        { _id: userId, $or: [{ 'preferences.defaultStatus': oldKey }, ...unset] },
+        { 'preferences.defaultStatus': newKey }
+    )
+}
+
+module.exports = {
+    DEFAULT_STAGES,
+    MAX_STAGES_PER_USER,
+    FALLBACK_STAGE_COLOR,
+    ensureDefaultStages,
+    listStages,
+    usableStageKeys,
+    checkStatus,
+    validateStage,
+    stageKeyFor,
+    moveApplications,
+    replaceDefaultStatus,
+}
@@ -0,0 +1,143 @@
+/* ==============================
+   APPLICATION SEARCH SERVICE
+   Full-text search over a user's job applications (company, position,
+   location, notes, job URL and the text of attached documents, archived
+   ones included, the trash left out) using
+   the MongoDB text index on JobApplication, ranked by relevance.
+   Each result comes with snippets showing where the words matched
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const mongoose = require('mongoose')
+
+const JobApplication = require('../models/JobApplication')
+const DocumentText = require('../models/DocumentText')
+const { escapeRegExp } = require('./pagination')
+
+// Characters of context shown before / after the first match in a snippet
+const SNIPPET_BEFORE = 60
+const SNIPPET_AFTER = 120
+
+// Application fields snippets are taken from, in the order they are shown
+const HIGHLIGHT_FIELDS = ['company', 'position', 'location', 'notes', 'jobUrl']
+
+/* ==============================
+   parseSearchTerms(q)
+   The words and "quoted phrases" of a search, without -excluded words
+   (MongoDB handles those, there's nothing to highlight)
+  ============================== */
+function parseSearchTerms(q) {
+    const terms = []
+    const text = String(q || '')
+
+    for (const match of text.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+        const excluded = match[1] || match[3]
+        const term = (match[2] || match[4] || '').trim()
+
+        if (!excluded && term) terms.push(term.toLowerCase())
+    }
+
+    return [...new Set(terms)]
+}
+
+/* ==============================
+   buildSnippet(text, terms)
+   A short piece of `text` around the first matching term, with the
+   positions of every match inside it so the client can highlight them
+   (no HTML is added, so it is safe to show as-is).
+   Words match from their start, so "interview" also finds "interviewing".
+   Returns { snippet, matches: [[start, end], ...] } or null
+  ============================== */
+function buildSnippet(text, terms) {
+    if (!text || terms.length === 0) return null
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu')
+    const first = pattern.exec(text)
+
+    if (!first) return null
+
+    // Widen the window to whole words
+    let start = Math.max(0, first.index - SNIPPET_BEFORE)
+    let end = Math.min(text.length, first.index + first[0].length + SNIPPET_AFTER)
+
+    if (start > 0) {
+        const space = text.indexOf(' ', start)
+        if (space !== -1 && space < first.index) start = space + 1
+    }
+
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end)
+        if (space > first.index + first[0].length) end = space
+    }
+
+    const prefix = start > 0 ? '…' : ''
+    const suffix = end < text.length ? '…' : ''
+    const body = text.slice(start, end)
+
+    const matches = []
+    pattern.lastIndex = 0
+
+    for (const match of body.matchAll(pattern)) {
+        matches.push([prefix.length + match.index, prefix.length + match.index + match[0].length])
+    }
+
+    return { snippet: prefix + body + suffix, matches }
+}
+
+/* ==============================
+   searchApplications(userId, q, { limit, statuses })
+   Ranked results for a user's applications.
+   Returns { results: [{ application, score, highlights }], total }
+  ============================== */
+async function searchApplications(userId, q, { limit = 20, statuses = null } = {}) {
+    const filter = {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        deletedAt: null,
+        $text: { $search: String(q) },
+    }
+
+    if (statuses) filter.status = { $in: statuses }
+
+    const [applications, total] = await Promise.all([
+        JobApplication.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, _id: -1 })
+            .limit(limit),
+        JobApplication.countDocuments(filter),
+    ])
+
+    // Document text is only loaded for the files of the results shown
+    const fileNames = [...new Set(applications.flatMap((application) => application.documents || []))]
+    const documentTexts = await DocumentText.find({ user: filter.user, fileName: { $in: fileNames } }).select('fileName text')
+    const textByFile = new Map(documentTexts.map((entry) => [entry.fileName, entry.text]))
+
+    const terms = parseSearchTerms(q)
+
+    const results = applications.map((application) => {
+        const highlights = []
+
+        for (const field of HIGHLIGHT_FIELDS) {
+            const snippet = buildSnippet(application[field], terms)
+            if (snippet) highlights.push({ field, ...snippet })
+        }
+
+        for (const fileName of application.documents || []) {
+            const snippet = buildSnippet(textByFile.get(fileName), terms)
+            if (snippet) highlights.push({ field: 'documents', fileName, ...snippet })
+        }
+
+        return {
+            application,
+            score: application.get('score'),
+            highlights,
+        }
+    })
+
+    return { results, total }
+}
+
+module.exports = {
+    parseSearchTerms,
+    buildSnippet,
+    searchApplications,
+}
@@ -0,0 +1,91 @@
+/* ==============================
+   SESSION SERVICE
+   Builds the token payload for a user, records the sign-in as a
+   Session and issues the access token + refresh token pair, so every
+   way of signing in (sign up, password, 2FA) returns exactly the same
+   shape. Also ends sessions (logout, revoke, password change)
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const mongoose = require('mongoose')
+const Utils = require('../Utils')
+const RefreshToken = require('../models/RefreshToken')
+const Session = require('../models/Session')
+const { serializeUser } = require('../serializers/user')
+
+/* ==============================
+   toUserObject(user)
+   The user data stored inside the JWT (and sent back to frontend):
+   the user's own "self" view from serializers/user.js
+  ============================== */
+function toUserObject(user) {
+    return serializeUser(user, { view: 'self' })
+}
+
+/* ==============================
+   issueSession(user, req)
+   Record a new Session (user agent + IP from the request), sign an
+   access token for it and start its refresh token family.
+   Returns { token, refreshToken, user }
+  ============================== */
+async function issueSession(user, req) {
+    const userObject = toUserObject(user)
+
+    // Create the session first so its id can go into both tokens
+    const session = new Session({
+        user: user._id,
+        userAgent: (req && req.get('user-agent')) || '',
+        ip: (req && req.ip) || '',
+    })
+
+    // Starts a new token family for this sign-in (family = session id)
+    const { token: refreshToken, doc } = await RefreshToken.issue(user._id, session.id)
+
+    session.expiresAt = doc.expiresAt
+    await session.save()
+
+    // Signs a token with the SECRET_KEY
+    const token = Utils.generateAccessToken(userObject, user.tokenVersion, session.id)
+
+    return { token, refreshToken, user: userObject }
+}
+
+/* ==============================
+   findSession(id)
+   Look up a session by id (also accepts refresh token family ids from
+   before sessions existed, which are not ObjectIds -> null)
+  ============================== */
+function findSession(id) {
+    if (!id || !mongoose.isValidObjectId(id)) return Promise.resolve(null)
+    return Session.findById(id)
+}
+
+/* ==============================
+   endSession(sessionId)
+   Revoke one session and every refresh token in its family
+  ============================== */
+async function endSession(sessionId) {
+    if (mongoose.isValidObjectId(sessionId)) {
+        await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() })
+    }
+    await RefreshToken.revokeFamily(String(sessionId))
+}
+
+/* ==============================
+   endAllSessions(userId)
+   Revoke every session and refresh token a user has
+   (log out everywhere, password change / reset)
+  ============================== */
+async function endAllSessions(userId) {
+    await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+    await RefreshToken.revokeAllForUser(userId)
+}
+
+module.exports = {
+    toUserObject,
+    issueSession,
+    findSession,
+    endSession,
+    endAllSessions,
+}
@@ -0,0 +1,214 @@
+/* ==============================
+   TOTP SERVICE
+   Time-based one-time passwords (RFC 6238) for two-factor
+   authentication, compatible with Google Authenticator, Authy,
+   1Password, etc. Built on Node's crypto library:
+   - 20-byte secret, shown to the user as base32
+   - HMAC-SHA1, 6 digits, 30 second steps
+   - secrets are encrypted (AES-256-GCM) before being stored
+  ============================== */
+
+/* ======== DEPENDENCIES ======= */
+
+const crypto = require('crypto')
+
+// Used to hash recovery codes before storing them
+const Utils = require('../Utils')
+
+// Load environment variables from the .env file into process.env
+require('dotenv').config()
+
+// Name shown in the authenticator app next to the account
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Nextep'
+
+// Length of each time step in seconds, and digits in each code
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+// How many steps either side of "now" are accepted (clock drift)
+const WINDOW = 1
+
+// Number of recovery codes given to the user
+const RECOVERY_CODE_COUNT = 10
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/* ==============================
+   BASE32
+   Authenticator apps expect the secret in base32 (RFC 4648, no padding)
+  ============================== */
+
+function base32Encode(buffer) {
+    let bits = 0
+    let value = 0
+    let output = ''
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte
+        bits += 8
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+            bits -= 5
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+    }
+
+    return output
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '')
+    let bits = 0
+    let value = 0
+    const bytes = []
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char)
+        if (index === -1) throw new Error('Invalid base32 character')
+
+        value = (value << 5) | index
+        bits += 5
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255)
+            bits -= 8
+        }
+    }
+
+    return Buffer.from(bytes)
+}
+
+/* ==============================
+   SECRET ENCRYPTION
+   The key comes from TOTP_ENCRYPTION_KEY (or SECRET_KEY if not set), so a
+   database leak alone does not reveal the secrets
+  ============================== */
+
+function encryptionKey() {
+    return crypto.createHash('sha256')
+        .update(process.env.TOTP_ENCRYPTION_KEY || process.env.SECRET_KEY || '')
+        .digest()
+}
+
+// Encrypt a base32 secret into "iv.tag.ciphertext" (base64 parts)
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv)
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.')
+}
+
+// Decrypt a value produced by encryptSecret()
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map((part) => Buffer.from(part, 'base64'))
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv)
+    decipher.setAuthTag(tag)
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+/* ==============================
+   CODES
+  ============================== */
+
+// Create a new random secret (base32)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20))
+}
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`)
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    })
+
+    return `otpauth://totp/${label}?${params.toString()}`
+}
+
+// The code for a secret at a given time step (HOTP, RFC 4226)
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3]
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+// The current time step
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS)
+}
+
+/* Check a code typed by the user.
+   Steps at or before lastUsedStep are refused, so a code cannot be
+   replayed. Returns the matching step, or null when the code is wrong */
+function verifyCode(secret, code, lastUsedStep = -1) {
+    const clean = String(code || '').replace(/\s/g, '')
+    if (!/^\d+$/.test(clean) || clean.length !== DIGITS) return null
+
+    const now = currentStep()
+
+    for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+        if (step <= lastUsedStep) continue
+
+        const expected = Buffer.from(codeForStep(secret, step))
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+            return step
+        }
+    }
+
+    return null
+}
+
+/* ==============================
+   RECOVERY CODES
+  ============================== */
+
+/* Create a fresh set of one-time recovery codes.
+   Returns { codes, hashes } - codes are shown to the user once,
+   hashes are stored */
+function generateRecoveryCodes() {
+    const codes = []
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex')
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`)
+    }
+
+    return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Hash a recovery code (case and dashes don't matter when typing it)
+function hashRecoveryCode(code) {
+    return Utils.hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+}
+
+module.exports = {
+    generateSecret,
+    buildOtpauthUri,
+    verifyCode,
+    codeForStep,
+    currentStep,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+}